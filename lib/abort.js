@@ -0,0 +1,60 @@
+"use strict";
+
+/*
+ * abort.js
+ *
+ * Cancellation for lookups and image probes.  The global AbortController only exists from node 15, so on older
+ * versions a controller with the same interface (as far as this module uses it) is made from an EventEmitter:
+ * controller.abort(), and controller.signal with aborted, addEventListener("abort", fn) and
+ * removeEventListener("abort", fn).  Callers may pass either kind of signal
+ *
+ */
+
+/* global AbortController */
+
+var EventEmitter = require("events").EventEmitter;
+
+/*
+ * createController
+ *
+ * returns a new AbortController, or the EventEmitter based equivalent where there is no global AbortController
+ */
+function createController() {
+
+  if (typeof AbortController === "function") {
+    return new AbortController();
+  }
+  return createEmitterController();
+}
+
+function createEmitterController() {
+
+  var emitter = new EventEmitter();
+  var signal = {
+    aborted: false,
+    addEventListener: function(type, listener) {
+      emitter.on(type, listener);
+    },
+    removeEventListener: function(type, listener) {
+      emitter.removeListener(type, listener);
+    }
+  };
+
+  // a lookup may have many probes waiting on its signal
+  emitter.setMaxListeners(0);
+  return {
+    signal: signal,
+    abort: function() {
+      if (!signal.aborted) {
+        signal.aborted = true;
+        emitter.emit("abort");
+      }
+    }
+  };
+}
+
+if (process.env.NODE_ENV === "test") {
+  module.exports.createEmitterController = createEmitterController;
+}
+
+module.exports.createController = createController;
@@ -18,17 +18,28 @@
  *
  */
 
-var request = require("request");
+/* global Promise */
+
 var url = require("url");
 var async = require("async");
 var LOGR = require("./logr.js");
+var errors = require("./errors.js");
+var abort = require("./abort.js");
 var checkImageUrl = require("./checkImageUrl.js");
 var imageScore = require("./imageScore.js");
 var docImageParse = require("./docImageParse.js");
+var fetcher = require("./fetcher.js");
+var siteIcon = require("./siteIcon.js");
+var probeCache = require("./probeCache.js");
+var documentCache = require("./documentCache.js");
+var scheduler = require("./scheduler.js");
+var robots = require("./robots.js");
+var requestOptions = require("./requestOptions.js");
+var charset = require("./charset.js");
 var _ = require("underscore");
 
 // Currently the code will scrape the document, and return the top MAX_CANDIDATE_IMAGES scored images in an array
-// which are further scrutinized by actually reading the image. 
+// which are further scrutinized by actually reading the image.  This is also the default count for getBestImages
 
 var MAX_CANDIDATE_IMAGES = 5;
 var MIN_IMAGE_WIDTH = 40;
@@ -40,6 +51,7 @@ var MIN_IMAGE_WIDTH = 40;
 function init(info, warn, error, debug) {
   LOGR.init(info, warn, error, debug);
   checkImageUrl.init(info, warn, error, debug);
+  fetcher.init(info, warn, error, debug);
   imageScore.init(info, warn, error, debug);
   docImageParse.init(info, warn, error, debug);
 }
@@ -58,6 +70,10 @@ function init(info, warn, error, debug) {
    title: optional title (alt text) for image
    class: class name of image tag
    isMeta: image was specified in meta tags (curated)
+   isStructured: image was specified in schema.org structured data (curated)
+   isVideo: image is the poster or thumbnail of a video
+   context: where the image is in the page {landmarks, order, position, depth, inLink} (see docImageParse)
+   caption, nearbyText: the <figcaption> and the nearby heading/paragraph text of the image (see docImageParse)
    docTitle: title of source document and/or query used to generate it
    dimensions: when sorting the image set based on size/dimensions (sizeScore=true) this will contain the dimensions if available
    score: <the calculated score>
@@ -83,46 +99,26 @@ function init(info, warn, error, debug) {
 
 /*
  * DEBUGGING SUPPORT - for best-image-browser, or other tools to look at details of the scoring process
+ *
+ * the debug record is kept on the context of the lookup (see newContext), so concurrent requests
+ * (even for the same url) each have their own
  */
-var DEBUG_DETAILS = {};
-function getBestImageDebug(hostUrl, query, callback, scoreFn) {
-  //
-  // This function will return all details regarding the processing for
-  // the best image for debugging and tuning the scoring function
-  //
-  initDebug(hostUrl);
-  addDebugDetails(hostUrl, "hostUrl", hostUrl);
-  addDebugDetails(hostUrl, "query", query);
-
-  return getBestAltImage(hostUrl, query, scoreFn, function(err, data) {
-    callFinalCallback(hostUrl, callback, err, data);
-  });
+function addDebugDetails(ctx, key, value) {
+  if (ctx.debug) {
+    ctx.debug[key] = value;
+  }
 }
 
-//--------------------------------------------------------------------------
-function initDebug(hostUrl) {
-  DEBUG_DETAILS[hostUrl] = {};
-}
-function debugRecord(hostUrl) {
-  return DEBUG_DETAILS[hostUrl];
-}
+function debugResult(ctx, data) {
 
-function addDebugDetails(hostUrl, key, value) {
-  if (debugRecord(hostUrl)) {
-    DEBUG_DETAILS[hostUrl][key] = value;
-  }
-}
-function callFinalCallback(hostUrl, callback, err, data) {
+  var retObj = {  debugInfo: ctx.debug };
 
-  var retObj = data;
-  if (debugRecord(hostUrl)) {
-    retObj = {  bestImageUrl: data,
-          debugInfo: debugRecord(hostUrl)
-         };
+  if (Array.isArray(data)) {
+    retObj.bestImages = data;
+  } else {
+    retObj.bestImageUrl = data;
   }
-
-  callback(err, retObj);
-  return;
+  return retObj;
 }
 /**************** End DEBUGGING SUPPORT ****************************************/
 
@@ -132,152 +128,738 @@ function callFinalCallback(hostUrl, callback, err, data) {
  * pass in an object with any overrides for SCORE_CONFIG.  Any valid keys which
  * match SCORE_CONFIG will be used to override the base SCORE_CONFIG
  *
+ * Note, this changes the config used by all requests made through this module.  To use different
+ * configs in the same process, pass a config with each request, or create separate instances (see create)
+ *
  */
 function setConfig (config) {
   return imageScore.setConfig(config);
 }
 
 /*
- * getBestImage / getBestAltImage
+ * setFetcher
  *
- * Given a url, loads the html document and retreives the best image for display
+ * sets the fetcher used for all requests (documents, stylesheets and image probes) made through the
+ * module, see fetcher.js for the interface.  Pass null to go back to the default fetcher
  *
- * TODO: allow for retrieval of array of "top images", not just the best
- */ 
+ */
+function setFetcher (newFetcher) {
+  DEFAULT_INSTANCE.fetcher = newFetcher;
+}
+
+/*
+ * setProbeCache
+ *
+ * sets the cache for the results of image probes made through the module, as {store, ttl, negativeTtl}
+ * (see probeCache.js and checkImageUrl).  Pass null to go back to the default in-memory cache
+ *
+ */
+function setProbeCache (settings) {
+  DEFAULT_INSTANCE.probeCache = settings;
+}
+
+/*
+ * setDocumentCache
+ *
+ * turns on caching of documents and their results for lookups made through the module, with the settings
+ * {store, ttl} (see documentCache.js).  Pass null to turn it off again (the default)
+ *
+ */
+function setDocumentCache (settings) {
+  DEFAULT_INSTANCE.documentCache = settings;
+}
+
+/*
+ * setScheduler
+ *
+ * sets the scheduler which limits the requests made through the module (see scheduler.js createScheduler).  By
+ * default a scheduler shared by the process is used.  Pass null to go back to the default scheduler
+ *
+ */
+function setScheduler (newScheduler) {
+  DEFAULT_INSTANCE.scheduler = newScheduler;
+}
 
-// for compatability, maintain old signature
-function getBestImage(fullUrl, query, callback) {
-  return getBestAltImage(fullUrl, query, null, callback);
+/*
+ * setRobots
+ *
+ * turns on robots.txt compliance for lookups made through the module, with the settings {userAgent, store, ttl}
+ * (see robots.js).  Requests robots.txt disallows for userAgent are not made.  Pass null to turn it off again (the
+ * default)
+ *
+ */
+function setRobots (settings) {
+  DEFAULT_INSTANCE.robots = settings;
 }
 
-// full function
-function getBestAltImage (fullUrl, query, scoreFn, callback) {
+/*
+ * setRequestOptions
+ *
+ * sets the user agent, extra headers, cookie jar and Referer behavior for requests made through the module, with
+ * per-host overrides (see requestOptions.js).  Pass null to go back to the defaults (no extra headers)
+ *
+ */
+function setRequestOptions (settings) {
+  DEFAULT_INSTANCE.requestOptions = settings;
+}
+
+/*
+ * create
+ *
+ * Creates an isolated BestImage instance with the same interface as this module (getBestImage, getBestImages,
+ * the promise versions, init, setConfig...).  An instance has its own scoring config and logger, and
+ * does not share any mutable scoring state with other instances or with this module.  Nor does it share image
+ * probes or robots.txt rules: those in flight and (unless a store is given) the cached ones are its own, since its
+ * fetcher may get different answers for the same url.  settings:
+ *
+ * {
+   config: overrides for SCORE_CONFIG for this instance (missing keys are taken from the defaults)
+   logger: {info, warn, error, debug} log functions for this instance (see init)
+   fetcher: the fetcher used for all requests made by this instance (see setFetcher)
+   probeCache: the cache for image probe results of this instance (see setProbeCache)
+   documentCache: the cache for documents and results of this instance (see setDocumentCache)
+   scheduler: the scheduler which limits the requests of this instance (see setScheduler)
+   robots: the robots.txt settings of this instance (see setRobots)
+   requestOptions: the request headers and cookie jar of this instance (see setRequestOptions)
+ * }
+ */
+function create(settings) {
+
+  settings = settings || {};
+
+  var inst = {
+    config: imageScore.buildConfig(settings.config, imageScore.getDefaultConfig()),
+    logr: LOGR.create(settings.logger),
+    fetcher: settings.fetcher || null,
+    probeCache: settings.probeCache || null,
+    probes: newProbes(),
+    documentCache: settings.documentCache || null,
+    scheduler: settings.scheduler || null,
+    robots: settings.robots || null,
+    robotsRules: newRobotsRules(),
+    requestOptions: settings.requestOptions || null
+  };
+
+  var bestImage = api(inst);
+
+  bestImage.init = function(info, warn, error, debug) {
+    inst.logr = LOGR.create({info: info, warn: warn, error: error, debug: debug});
+  };
+  bestImage.setConfig = function(config) {
+    if (!config) {
+      return false;
+    }
+    inst.config = imageScore.buildConfig(config, imageScore.getDefaultConfig());
+  };
+  bestImage.setFetcher = function(newFetcher) {
+    inst.fetcher = newFetcher;
+  };
+  bestImage.setProbeCache = function(cacheSettings) {
+    inst.probeCache = cacheSettings;
+  };
+  bestImage.setDocumentCache = function(cacheSettings) {
+    inst.documentCache = cacheSettings;
+  };
+  bestImage.setScheduler = function(newScheduler) {
+    inst.scheduler = newScheduler;
+  };
+  bestImage.setRobots = function(robotsSettings) {
+    inst.robots = robotsSettings;
+  };
+  bestImage.setRequestOptions = function(requestSettings) {
+    inst.requestOptions = requestSettings;
+  };
+  return bestImage;
+}
+
+/*
+ * api
+ *
+ * builds the public interface for an instance (inst holds the instance config, logger, fetcher, caches, scheduler, and robots and request settings).  The module
+ * itself uses an instance with no config of its own, which means the module level SCORE_CONFIG is used
+ */
+function api(inst) {
+
+  return {
+
+    /*
+     * getBestImage / getBestAltImage
+     *
+     * Given a url, loads the html document and retreives the best image for display.  The result is the src of
+     * the image (a string), so with robots.txt compliance on, the urls the lookup skipped are only reported on
+     * its error or in debug mode (see reportSkipped), use getBestImages with a count of 1 to get them with the src
+     */ 
+
+    // for compatability, maintain old signature
+    getBestImage: function(fullUrl, query, callback) {
+      run(inst, fullUrl, null, {query: query, single: true}, callback);
+    },
+
+    // full function
+    getBestAltImage: function(fullUrl, query, scoreFn, callback) {
+      run(inst, fullUrl, null, {query: query, scoreFn: scoreFn, single: true}, callback);
+    },
+
+    /*
+     * getBestImageDebug
+     *
+     * This function will return all details regarding the processing for
+     * the best image for debugging and tuning the scoring function
+     */
+    getBestImageDebug: function(hostUrl, query, callback, scoreFn) {
+      run(inst, hostUrl, null, {query: query, scoreFn: scoreFn, single: true, debug: true}, callback);
+    },
+
+    /*
+     * getBestImages
+     *
+     * Given a url, loads the html document and returns up to options.count of the best validated images
+     * in ranked order (primary image first, followed by fallbacks).  options may also carry a scoreFn,
+     * a config (overrides for the scoring config, for this request only), fallbackIcon (if true and no
+     * image qualifies, the icon of the site is returned instead, see siteIcon.js), a timeout (the most
+     * milliseconds the whole lookup may take) and a signal (an AbortSignal which cancels the lookup).  A lookup
+     * which times out or is cancelled aborts its requests, and returns the images validated so far, or fails
+     * with DEADLINE_EXCEEDED or ABORTED if there are none.  Errors are BestImageErrors (see errors.js).
+     * Each entry in the resulting array is of the form:
+     *
+     * {
+       src: fully qualified image url
+       score: final score (after size adjustment)
+       sizeScore: score based on the dimensions of the loaded image
+       dimensions: dimensions of the loaded image if available (or as declared in the meta tags, with declared: true)
+       source: where the image was found in the document ("meta", "structured", "video", "img" or "css"), or "icon"
+       fallback: true if this is the site icon returned with options.fallbackIcon (not a content image)
+     * }
+     */
+    getBestImages: function(fullUrl, query, options, callback) {
+      run(inst, fullUrl, null, _.extend({}, options, {query: query}), callback);
+    },
 
-  if (!query) {
-    query = ""; // assign an empty string if not specified
+    /*
+     * getBestImageFromDocument / getBestImagesFromDocument
+     *
+     * given the body of a document, will parse it with cheerio, and find the best image (or the
+     * best images, see getBestImages).  can be used directly for testing.  body may be a string, or
+     * a Buffer of the raw bytes, which is decoded by the charset declared in the document (see charset.js)
+     *
+     */ 
+    getBestImageFromDocument: function(fullUrl, query, body, scoreFn, callback) {
+      run(inst, fullUrl, body, {query: query, scoreFn: scoreFn, single: true}, callback);
+    },
+
+    getBestImagesFromDocument: function(fullUrl, query, body, options, callback) {
+      run(inst, fullUrl, body, _.extend({}, options, {query: query}), callback);
+    },
+
+    /*
+     * Promise interface
+     *
+     * Promise returning versions of the entry points above, for use with async/await.  Each takes
+     * a single options object:
+     *
+     * {
+       query: keywords that best match the subject of the page (optional)
+       scoreFn: your own scoring function, see "About the Scoring Function" (optional)
+       config: overrides for the scoring config, for this request only (optional)
+       debug: if true, resolves to {bestImageUrl or bestImages, debugInfo} as getBestImageDebug does
+       count: number of images to return (getBestImagesAsync / getBestImagesFromDocumentAsync only)
+       fallbackIcon: if true, falls back to the icon of the site when no image qualifies (optional)
+       timeout: the most milliseconds the lookup may take, see getBestImages (optional)
+       signal: an AbortSignal which cancels the lookup, see getBestImages (optional)
+     * }
+     *
+     * the callback versions of these functions are unchanged
+     */
+    getBestImageAsync: function(fullUrl, options) {
+      return toPromise(inst, fullUrl, null, _.extend({}, options, {single: true}));
+    },
+
+    getBestImagesAsync: function(fullUrl, options) {
+      return toPromise(inst, fullUrl, null, options);
+    },
+
+    getBestImageFromDocumentAsync: function(fullUrl, body, options) {
+      return toPromise(inst, fullUrl, body, _.extend({}, options, {single: true}));
+    },
+
+    getBestImagesFromDocumentAsync: function(fullUrl, body, options) {
+      return toPromise(inst, fullUrl, body, options);
+    }
+  };
+}
+
+/*
+ * toPromise
+ *
+ * runs a lookup and settles the returned promise with the result
+ */
+function toPromise(inst, fullUrl, body, options) {
+
+  return new Promise(function(resolve, reject) {
+    run(inst, fullUrl, body, options, function(err, data) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(data);
+      }
+    });
+  });
+}
+
+/*
+ * newContext
+ *
+ * creates the context for a single lookup, which carries everything the lookup needs through the
+ * processing (and nothing is shared with other lookups).  The scoring config is copied here, so a
+ * change to the config while the lookup is in progress does not affect it
+ */
+function newContext(inst, fullUrl, options) {
+
+  var controller = abort.createController();
+  var ctx = {
+    url: fullUrl,
+    // the url the document was retrieved from, after any redirects (see loadDocument)
+    documentUrl: fullUrl,
+    query: options.query || "",  // assign an empty string if not specified
+    scoreFn: options.scoreFn || null,
+    single: !!options.single,
+    count: options.single ? 1 : (options.count || MAX_CANDIDATE_IMAGES),
+    fallbackIcon: !!options.fallbackIcon,
+    config: imageScore.buildConfig(options.config, inst.config),
+    logr: inst.logr,
+    // set below, see lookupFetcher
+    fetcher: null,
+    // the urls which were not retrieved because robots.txt disallows them, as {url, type, reason} (null when
+    // robots.txt compliance is off, see reportSkipped)
+    skipped: inst.robots ? [] : null,
+    probeCache: probeCacheSettings(inst),
+    // the probes in flight of the instance, see checkImageUrl
+    inFlight: inst.probes ? inst.probes.inFlight : null,
+    documentCache: inst.documentCache,
+    // the version of the document in the document cache, if it is cached (see loadDocument)
+    documentVersion: null,
+    // aborted when the lookup is cancelled or runs out of time, which aborts its requests (see watchDeadline)
+    controller: controller,
+    signal: controller.signal,
+    // the images validated so far (see findValidImages), returned if the lookup runs out of time
+    found: [],
+    block: null,
+    // why each candidate image which was probed failed, as {src, code, message, statusCode}
+    failures: [],
+    debug: options.debug ? {hostUrl: fullUrl, query: options.query} : null
+  };
+
+  ctx.fetcher = lookupFetcher(inst, ctx);
+  return ctx;
+}
+
+/*
+ * newProbes
+ *
+ * the image probes of an instance: the default cache for their results (when the probe cache settings have no
+ * store, see setProbeCache), and those in flight
+ */
+function newProbes() {
+  return {store: probeCache.createMemoryCache(), inFlight: {}};
+}
+
+// the probe cache settings of a lookup, with the default store of the instance filled in
+function probeCacheSettings(inst) {
+
+  var settings = inst.probeCache || {};
+
+  return _.extend({}, settings, {store: settings.store || (inst.probes && inst.probes.store)});
+}
+
+/*
+ * newRobotsRules
+ *
+ * the robots.txt rules of an instance: the default cache for them (when the robots settings have no store, see
+ * setRobots), and the robots.txt being retrieved
+ */
+function newRobotsRules() {
+  return {store: robots.createCache(), inFlight: {}};
+}
+
+// the robots settings of a lookup, with the default store and the robots.txt in flight of the instance filled in
+function robotsSettings(inst) {
+
+  var rules = inst.robotsRules || {};
+
+  return _.extend({}, inst.robots, {store: inst.robots.store || rules.store, inFlight: rules.inFlight});
+}
+
+/*
+ * lookupFetcher
+ *
+ * the fetcher for the requests of a lookup: every request goes through the scheduler, is given the configured
+ * headers and cookie jar (if any), and if robots.txt compliance is turned on, is checked against robots.txt
+ * first (the urls which are skipped are recorded in ctx.skipped)
+ */
+function lookupFetcher(inst, ctx) {
+
+  var lookup = (inst.scheduler || scheduler.defaultScheduler).wrap(inst.fetcher || fetcher.defaultFetcher);
+
+  if (inst.requestOptions) {
+    lookup = requestOptions.wrap(lookup, inst.requestOptions, function() { return ctx.documentUrl; });
+  }
+  if (!inst.robots) {
+    return lookup;
   }
+  return robots.wrap(lookup, robotsSettings(inst), function(skippedUrl, type, reason) {
+    ctx.skipped.push({url: skippedUrl, type: type, reason: reason});
+  });
+}
+
+/*
+ * run
+ *
+ * runs a lookup for the given url with the given options (see the Promise interface), loading the document
+ * first if no body is given.  Calls back with the best image src if options.single is set, otherwise the
+ * array of results (see getBestImages)
+ */
+function run(inst, fullUrl, body, options, callback) {
+
+  var ctx = newContext(inst, fullUrl, options || {});
+  var finished = false;
+  var stopWatching = function() {};
+
+  var done = function(err, results) {
+    var data = (ctx.single && results) ? results[0].src : results;
 
-  LOGR.debug("GET IMAGES FOR " + fullUrl + ":" + query);
+    // once the lookup has been aborted, whatever else completes is ignored
+    if (finished) {
+      return;
+    }
+    finished = true;
+    stopWatching();
+    addDebugDetails(ctx, "skipped", ctx.skipped || []);
+    data = reportSkipped(ctx, err, data);
+    callback(err, ctx.debug ? debugResult(ctx, data) : data);
+  };
 
-  // load the destination page
-  request.get(fullUrl, function (error, response, body) {
+  stopWatching = watchDeadline(ctx, options || {}, function(reason) {
+    var results = validatedSoFar(ctx);
+
+    addDebugDetails(ctx, "aborted", reason.message);
+    done(results.length > 0 ? null : reason, results.length > 0 ? results : null);
+    ctx.controller.abort();
+  });
+  if (finished) {
+    return;
+  }
 
-    // bail out if there was an error
-    if (error || (response.statusCode && response.statusCode !== 200)) {
-      LOGR.error("Failed to load document: " + error + " url= [" + fullUrl + "]");
-      if (response) {
-        LOGR.error("Status Code: " + response.statusCode);
+  if (body !== null && body !== undefined) {
+    findImagesOrIcon(ctx, charset.decodeDocument(body, {}, ctx.logr), done);
+    return;
+  }
+  loadDocument(ctx, function(err, html) {
+    if (err) {
+      done(err, null);
+    } else {
+      findCachedImages(ctx, html, done);
+    }
+  });
+}
+
+/*
+ * reportSkipped
+ *
+ * when robots.txt compliance is on, reports the urls the lookup skipped (see ctx.skipped) as the skipped field of
+ * its error, or of its results if they are an array (see getBestImages).  The src returned by the single image
+ * versions is a string, which cannot carry them.  Returns the results
+ */
+function reportSkipped(ctx, err, data) {
+
+  if (!ctx.skipped) {
+    return data;
+  }
+  if (err) {
+    err.skipped = ctx.skipped;
+  } else if (Array.isArray(data)) {
+    // the results may be those in the document cache, which are not changed
+    data = data.slice();
+    data.skipped = ctx.skipped;
+  }
+  return data;
+}
+
+/*
+ * watchDeadline
+ *
+ * calls onAbort with a DEADLINE_EXCEEDED error once options.timeout milliseconds have passed, or an ABORTED error
+ * when options.signal (an AbortSignal) is aborted, whichever comes first.  Returns a function which stops watching
+ */
+function watchDeadline(ctx, options, onAbort) {
+
+  var signal = options.signal;
+  var timer = null;
+
+  var stop = function() {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener("abort", cancelled);
+    }
+  };
+  var abort = function(reason) {
+    stop();
+    ctx.logr.debug("LOOKUP ABORTED: " + reason.message + " url= [" + ctx.url + "]");
+    onAbort(reason);
+  };
+  var cancelled = function() {
+    abort(errors.aborted(ctx.url));
+  };
+
+  if (signal && signal.aborted) {
+    cancelled();
+    return stop;
+  }
+  if (options.timeout) {
+    timer = setTimeout(function() {
+      abort(new errors.BestImageError(errors.CODES.DEADLINE_EXCEEDED, "Deadline exceeded", {url: ctx.url}));
+    }, options.timeout);
+  }
+  if (signal) {
+    signal.addEventListener("abort", cancelled);
+  }
+  return stop;
+}
+
+/*
+ * validatedSoFar
+ *
+ * the best images validated by the lookup so far: those found in the blocks already probed, followed by the
+ * images of the block being probed which have loaded, ranked as findValidImages does
+ */
+function validatedSoFar(ctx) {
+
+  var loaded = (ctx.block || []).filter(function(img) { return img && img.dimensions; });
+  var ranked = imageScore.callSizingFunction(ctx.scoreFn, imageScore.consolidateAndSizeRank(loaded, ctx.config, ctx.logr));
+
+  return ctx.found.concat(ranked.slice(0, ctx.count - ctx.found.length).map(imageResult));
+}
+
+/*
+ * findCachedImages
+ *
+ * returns the cached results of the same lookup if the document has not changed since they were found (see
+ * documentCache.js), otherwise finds the images and caches the results.  Lookups with a scoreFn or in debug
+ * mode are not cached, since their results cannot be reproduced from the cache, nor are lookups which were
+ * aborted or ran out of time
+ */
+function findCachedImages(ctx, html, callback) {
+
+  var cacheSettings = (ctx.scoreFn || ctx.debug) ? null : ctx.documentCache;
+  var key = documentCache.resultKey(ctx);
+
+  documentCache.getResults(cacheSettings, key, ctx.documentVersion, function(cached) {
+    if (cached) {
+      ctx.logr.debug("DOCUMENT CACHE HIT: " + ctx.url);
+      callback(null, cached);
+      return;
+    }
+    findImagesOrIcon(ctx, html, function(err, results) {
+      // a lookup cut short (see watchDeadline) has only found some of the images, which are not cached
+      if (!err && !ctx.signal.aborted) {
+        documentCache.saveResults(cacheSettings, key, ctx.documentVersion, results);
       }
-      callback("Failed to load document:" + error, null);
+      callback(err, results);
+    });
+  });
+}
+
+/*
+ * findImagesOrIcon
+ *
+ * finds the best images in the document, and if there are none and ctx.fallbackIcon is set, falls back
+ * to the icon of the site (see siteIcon.js).  The icon result has source "icon" and fallback: true, so it
+ * can be told apart from a content image
+ */
+function findImagesOrIcon(ctx, body, callback) {
+
+  findImagesInDocument(ctx, body, function(err, results) {
+
+    if (!err || !ctx.fallbackIcon) {
+      callback(err, results);
       return;
     }
-    //
-    // create a parseable doc to find the main image
-    // body is the raw html
-    LOGR.debug("******LOADED HTML DOCUMENT" + fullUrl);
-    getBestImageFromDocument(fullUrl, query, body, scoreFn, callback);
+    siteIcon.findSiteIcon(ctx.documentUrl, body, probeOptions(ctx), function(iconErr, icon) {
+      if (iconErr) {
+        callback(err, null);
+        return;
+      }
+      addDebugDetails(ctx, "fallbackIcon", icon);
+      callback(null, [{src: icon.src, score: 0, sizeScore: 0, dimensions: icon.dimensions, source: "icon", fallback: true}]);
+    });
+  });
+}
+
+/*
+ * loadDocument
+ *
+ * retrieves the html document for the lookup, and calls back with the body.  If the document is in the document
+ * cache, the request is conditional, and the cached body is used when the server answers that it has not changed
+ */
+function loadDocument(ctx, callback) {
+
+  var fullUrl = ctx.url;
+
+  ctx.logr.debug("GET IMAGES FOR " + fullUrl + ":" + ctx.query);
+
+  documentCache.getDocument(ctx.documentCache, fullUrl, function(cached) {
+
+    var options = {url: fullUrl, type: "document", headers: documentCache.conditionalHeaders(cached), signal: ctx.signal,
+      logr: ctx.logr};
+
+    // load the destination page
+    ctx.fetcher.get(options, function (error, response) {
+
+      if (!error && cached && response.statusCode === 304) {
+        ctx.logr.debug("******DOCUMENT NOT MODIFIED" + fullUrl);
+        ctx.documentUrl = cached.url;
+        ctx.documentVersion = cached.version;
+        callback(null, cached.body);
+        return;
+      }
+      documentLoaded(ctx, error, response, callback);
+    });
   });
-}  
+}
 
 /*
- * getBestImageFromDocument
+ * documentLoaded
  *
- * given the body of a document, will parse it with cheerio, and find the best image
- * can be used directly for testing
+ * handles the response for the document, and calls back with the decoded body
+ */
+function documentLoaded(ctx, error, response, callback) {
+
+  var fullUrl = ctx.url;
+  var body;
+
+  // bail out if there was an error
+  if (error) {
+    ctx.logr.error("Failed to load document: " + error + " url= [" + fullUrl + "]");
+    callback(errors.fromFetchError("DOCUMENT", error, fullUrl), null);
+    return;
+  }
+  if (response.statusCode && response.statusCode !== 200) {
+    ctx.logr.error("Failed to load document: Status Code: " + response.statusCode + " url= [" + fullUrl + "]");
+    callback(new errors.BestImageError(errors.CODES.DOCUMENT_HTTP_STATUS, "Failed to load document: Status Code: " + response.statusCode,
+      {url: fullUrl, statusCode: response.statusCode}), null);
+    return;
+  }
+  //
+  // create a parseable doc to find the main image
+  // body is the raw html
+  ctx.logr.debug("******LOADED HTML DOCUMENT" + fullUrl);
+  ctx.documentUrl = response.url || fullUrl;
+  body = charset.decodeDocument(response.body, response.headers, ctx.logr);
+  ctx.documentVersion = documentCache.saveDocument(ctx.documentCache, fullUrl, response, body);
+  callback(null, body);
+}
+
+/*
+ * findImagesInDocument
+ *
+ * given the body of a document, parses it and calls back with up to ctx.count of the best validated images
  *
  */ 
-function getBestImageFromDocument(fullUrl, query, body, scoreFn, callback) {
+function findImagesInDocument(ctx, body, callback) {
 
-  var checkUrl = false;
+  var parseOptions = {fetcher: ctx.fetcher, signal: ctx.signal, logr: ctx.logr};
 
-  docImageParse.getDocImageArray(fullUrl, body, query, function(err, imgArray) {
+  docImageParse.getDocImageArray(ctx.documentUrl, body, ctx.query, parseOptions, function(err, imgArray) {
 
 
-    addDebugDetails(fullUrl, "rawImageArray", imgArray);
+    addDebugDetails(ctx, "rawImageArray", imgArray);
     // clean, score, and sort and return array of image url's
 
-    var maxImages = debugRecord(fullUrl) ? 0 : MAX_CANDIDATE_IMAGES;
-
-    // fully resolve pathnames so scoring is correct
+    // srcs are already resolved against the base of the document
     imgArray.forEach(function(item) {
-      if (item.attribs["data-src"] && !item.src) {
-        item.src = item.attribs["data-src"];
-      }
-      if (item.src) {
-        item.src = checkImageUrl.resolveRelativeUrl(fullUrl, item.src);
-      } else {
-        item.src = "";
-      }  
+      item.src = item.src || "";
     });
-    imgArray = imageScore.findBestImages(imgArray, scoreFn, null); // null callback makes this SYNC
+    imgArray = imageScore.findBestImages(imgArray, ctx.scoreFn, ctx.config, ctx.logr);
 
     // deDupe the array
     imgArray = deDupeImageArray(imgArray);
 
     // for debug, store results
-    if (debugRecord(fullUrl)) {
-      addDebugDetails(fullUrl, "scoredImageArray", imgArray);
-    }
+    addDebugDetails(ctx, "scoredImageArray", imgArray);
 
-    LOGR.debug("IMAGES EXTRACTED=======");
-    LOGR.debug(imgArray);
+    ctx.logr.debug("IMAGES EXTRACTED=======");
+    ctx.logr.debug(imgArray);
 
-    async.eachOf(imgArray, function(img, index, cb_async) {
+    if (imgArray && imgArray.length > 0) {
+      // NOW, return the images that will load correctly and are sized correctly
+      findValidImages(ctx, imgArray, callback);
+    } else {
+      callback(new errors.BestImageError(errors.CODES.NO_CANDIDATES, "No images found", {url: ctx.url}), null);
+    }  
+  });
+
+}
 
-      checkImageUrl.resolveRelativeUrl(fullUrl, img.src, function(err, newImg) {
-        // no error case, if so, newImg will be appropriately null
-        imgArray[index].src = newImg;
-        LOGR.debug("Transformed " + img.src + " to " + newImg);
-        cb_async();  
-      });
+/*
+ * findValidImage
+ *
+ * returns the first valid image (src) in the sorted array, see findValidImages
+ */ 
+function findValidImage(fullUrl, fullImgArray, scoreFn, cback) {
 
-    }, function (err) {
-      // we have an adjusted imageArray now, return to caller
+  var ctx = newContext(DEFAULT_INSTANCE, fullUrl, {scoreFn: scoreFn, single: true});
 
-      if (imgArray && imgArray.length > 0) {
-        // NOW, return an image that will load correctly and is sized correctly (if not img1, then img2)
-        findValidImage(fullUrl, imgArray, scoreFn, function(err, bestImage) {
-          callback(err, bestImage);
-        });
-      } else {
-        callback("No images found", null);
-      }  
-    });
+  findValidImages(ctx, fullImgArray, function(err, results) {
+    cback(err, results ? results[0].src : null);
   });
-
 }
 
 /*
- * findValidImage
+ * findValidImages
  *
  * Goes through the array FIND_BLOCK_SIZE items at a time and tries to load each image in the array
- * and sets to null any items which do not load correctly.  returns the first
- * valid image in the sorted array.  This is a "recursive" function (calls itself) with
- * each successive segment of the array.  Calls the callback when a valid image is
- * found, or when it runs out of items to check
+ * and sets to null any items which do not load correctly.  Collects up to ctx.count valid images
+ * from the sorted array.  This is a "recursive" function (calls itself) with
+ * each successive segment of the array.  Calls the callback when enough valid images are
+ * found, or when it runs out of items to check (or the lookup is aborted, see run)
  */ 
 var FIND_BLOCK_SIZE = 10;
 
-function findValidImage(fullUrl, fullImgArray, scoreFn, cback) {
+function findValidImages(ctx, fullImgArray, cback, found) {
 
   var imgArray;
   var start = 0;
   var end = fullImgArray.length;
 
-  if (fullImgArray.length===0) {
-    cback("No valid image found", null);
+  found = found || [];
+
+  if (fullImgArray.length===0 || (ctx.signal && ctx.signal.aborted)) {
+    if (found.length > 0) {
+      cback(null, found);
+    } else {
+      cback(noValidImage(ctx), null);
+    }
     return;
   }
 
   end = Math.min(start + FIND_BLOCK_SIZE, end);
   imgArray = fullImgArray.slice(start, end);
+  // kept on the context, so the images validated so far can be returned if the lookup is aborted
+  ctx.found = found;
+  ctx.block = imgArray;
 
   // run through all images in array and NULL out invalid ones
   async.eachOf(imgArray, function(img, index, async_cb) {
 
-    checkImageUrl.checkImageUrl(img.src, function(err, dimensions) {
+    // curated images with declared dimensions are trusted, and not probed
+    if (hasTrustedSize(img)) {
+      img.dimensions = {width: img.declared.width, height: img.declared.height, declared: true};
+      async_cb();
+      return;
+    }
+    checkImageUrl.checkImageUrl(img.src, probeOptions(ctx), function(err, dimensions) {
       img.dimensions = dimensions;
       if (err) { // || (dimensions && dimensions.width && dimensions.width < MIN_IMAGE_WIDTH)) {
+        addFailure(ctx, img.src, err);
         imgArray[index] = null;
       }
       async_cb();
@@ -285,26 +867,80 @@ function findValidImage(fullUrl, fullImgArray, scoreFn, cback) {
 
   }, function(err) {
 
-    var newArray = imageScore.consolidateAndSizeRank(imgArray);
+    var newArray = imageScore.consolidateAndSizeRank(imgArray, ctx.config, ctx.logr);
 
-    newArray = imageScore.callSizingFunction(scoreFn, newArray);
+    newArray = imageScore.callSizingFunction(ctx.scoreFn, newArray);
 
     // put size scores back into the full array for debugging
     updateSizeScores(fullImgArray, newArray);
 
-    // if there is one valid image left, return it, otherwise get the next chunk
     if (newArray.length > 0) {
       // for debug, store results
-      if (debugRecord(fullUrl)) {
-        addDebugDetails(fullUrl, "SizeScoredImageArray", newArray);
-      }
-      cback(null, newArray[0].src);
+      addDebugDetails(ctx, "SizeScoredImageArray", newArray);
+      found = found.concat(newArray.slice(0, ctx.count - found.length).map(imageResult));
+    }
+    ctx.found = found;
+    ctx.block = null;
+
+    // if we have enough valid images return them, otherwise get the next chunk
+    if (found.length >= ctx.count) {
+      cback(null, found);
     } else {
-      findValidImage(fullUrl, fullImgArray.slice(end), scoreFn, cback);
+      findValidImages(ctx, fullImgArray.slice(end), cback, found);
     }  
   });
 }
 
+// the options for the image probes of a lookup (see checkImageUrl and siteIcon.js)
+function probeOptions(ctx) {
+  return {fetcher: ctx.fetcher, cache: ctx.probeCache, inFlight: ctx.inFlight, signal: ctx.signal, logr: ctx.logr};
+}
+
+/*
+ * addFailure
+ *
+ * records why the probe of a candidate image failed, for the ALL_CANDIDATES_INVALID error (see noValidImage)
+ */
+function addFailure(ctx, src, err) {
+
+  ctx.failures = ctx.failures || [];
+  ctx.failures.push({src: src, code: err.code, message: err.message || String(err), statusCode: err.statusCode});
+}
+
+/*
+ * noValidImage
+ *
+ * the error for a lookup none of whose candidate images loaded, with the reason each one failed
+ */
+function noValidImage(ctx) {
+  return new errors.BestImageError(errors.CODES.ALL_CANDIDATES_INVALID, "No valid image found",
+    {url: ctx.url, candidates: ctx.failures || []});
+}
+
+/*
+ * hasTrustedSize
+ *
+ * true for meta images (og:image etc) which declare both their width and height
+ */ 
+function hasTrustedSize(img) {
+  return !!(img.isMeta && img.declared && img.declared.width && img.declared.height);
+}
+
+/*
+ * imageResult
+ *
+ * the entry returned to the caller for a validated image
+ */ 
+function imageResult(img) {
+  return {
+    src: img.src,
+    score: img.score,
+    sizeScore: img.sizeScore,
+    dimensions: img.dimensions,
+    source: img.source
+  };
+}
+
 /*
  * updateSizeScores
  *
@@ -338,16 +974,55 @@ function deDupeImageArray(imgArray) {
 }
 
 
+// the module level instance uses the module level SCORE_CONFIG (see setConfig), logger (see init), fetcher (see setFetcher)
+// caches (see setProbeCache and setDocumentCache), scheduler (see setScheduler), robots settings (see setRobots) and
+// request settings (see setRequestOptions)
+var DEFAULT_INSTANCE = {
+  config: null,
+  logr: LOGR,
+  fetcher: null,
+  probeCache: null,
+  probes: newProbes(),
+  documentCache: null,
+  scheduler: null,
+  robots: null,
+  robotsRules: newRobotsRules(),
+  requestOptions: null
+};
+var moduleApi = api(DEFAULT_INSTANCE);
+
 if (process.env.NODE_ENV === "test") {
   module.exports.findValidImage = findValidImage;
+  module.exports.findValidImages = findValidImages;
+  module.exports.newContext = newContext;
   module.exports.deDupeImageArray = deDupeImageArray;
   module.exports.updateSizeScores = updateSizeScores;
 }
 
 module.exports.setConfig = setConfig;
 module.exports.init = init;
-module.exports.getBestImage = getBestImage;
-module.exports.getBestImageDebug = getBestImageDebug;
-module.exports.getBestAltImage = getBestAltImage;
-module.exports.getBestImageFromDocument = getBestImageFromDocument;
-
+module.exports.setFetcher = setFetcher;
+module.exports.setProbeCache = setProbeCache;
+module.exports.setDocumentCache = setDocumentCache;
+module.exports.setScheduler = setScheduler;
+module.exports.setRobots = setRobots;
+module.exports.setRequestOptions = setRequestOptions;
+module.exports.create = create;
+module.exports.createFixtureFetcher = fetcher.createFixtureFetcher;
+module.exports.createMemoryCache = probeCache.createMemoryCache;
+module.exports.createFileCache = probeCache.createFileCache;
+module.exports.createScheduler = scheduler.createScheduler;
+module.exports.createCookieJar = fetcher.createCookieJar;
+module.exports.createAbortController = abort.createController;
+module.exports.CODES = errors.CODES;
+module.exports.BestImageError = errors.BestImageError;
+module.exports.getBestImage = moduleApi.getBestImage;
+module.exports.getBestImageDebug = moduleApi.getBestImageDebug;
+module.exports.getBestAltImage = moduleApi.getBestAltImage;
+module.exports.getBestImages = moduleApi.getBestImages;
+module.exports.getBestImageFromDocument = moduleApi.getBestImageFromDocument;
+module.exports.getBestImagesFromDocument = moduleApi.getBestImagesFromDocument;
+module.exports.getBestImageAsync = moduleApi.getBestImageAsync;
+module.exports.getBestImagesAsync = moduleApi.getBestImagesAsync;
+module.exports.getBestImageFromDocumentAsync = moduleApi.getBestImageFromDocumentAsync;
+module.exports.getBestImagesFromDocumentAsync = moduleApi.getBestImagesFromDocumentAsync;
@@ -0,0 +1,102 @@
+"use strict";
+
+/*
+ * charset.js
+ *
+ * Decodes the raw bytes of an html document into a string, detecting the character encoding the way a browser
+ * does: a byte order mark first, then the charset of the Content-Type header, then a <meta charset> (or
+ * http-equiv Content-Type) near the start of the document, and otherwise UTF-8
+ *
+ */
+
+var iconv = require("iconv-lite");
+var LOGR = require("./../lib/logr.js");
+
+var DEFAULT_CHARSET = "utf-8";
+// how far into the document to look for a <meta> declaring the charset (as the html spec prescan does)
+var META_PRESCAN_BYTES = 1024;
+
+var BOMS = [
+  {bytes: [0xEF, 0xBB, 0xBF], charset: "utf-8"},
+  {bytes: [0xFF, 0xFE], charset: "utf-16le"},
+  {bytes: [0xFE, 0xFF], charset: "utf-16be"}
+];
+
+/*
+ * decodeDocument
+ *
+ * returns the body of a document as a string.  A body which is already a string is returned as is,
+ * a Buffer is decoded using the detected charset (see detectCharset).  headers are the response headers
+ * (lower case names), if any, and logr the logger of the lookup (optional)
+ */
+function decodeDocument(body, headers, logr) {
+
+  var charset;
+
+  if (!Buffer.isBuffer(body)) {
+    return body;
+  }
+  charset = detectCharset(body, headers);
+  (logr || LOGR).debug("DOCUMENT CHARSET: " + charset);
+  // iconv strips the BOM
+  return iconv.decode(body, charset);
+}
+
+/*
+ * detectCharset
+ *
+ * returns the charset of the document in buffer, which is always one iconv can decode
+ */
+function detectCharset(buffer, headers) {
+
+  var candidates = [
+    bomCharset(buffer),
+    headerCharset(headers),
+    metaCharset(buffer)
+  ];
+
+  for (var i = 0; i < candidates.length; i++) {
+    if (candidates[i] && iconv.encodingExists(candidates[i])) {
+      return candidates[i];
+    }
+  }
+  return DEFAULT_CHARSET;
+}
+
+function bomCharset(buffer) {
+
+  var bom = BOMS.filter(function(b) {
+    return b.bytes.every(function(value, index) { return buffer[index] === value; });
+  })[0];
+
+  return bom ? bom.charset : null;
+}
+
+function headerCharset(headers) {
+  return charsetParam((headers || {})["content-type"]);
+}
+
+// looks for <meta charset="..."> or <meta http-equiv="Content-Type" content="text/html; charset=...">
+function metaCharset(buffer) {
+
+  // the declaration itself is ascii, so reading the bytes as latin1 finds it whatever the encoding
+  var head = buffer.slice(0, META_PRESCAN_BYTES).toString("latin1");
+  var match = /<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i.exec(head);
+
+  if (!match) {
+    return null;
+  }
+  // a document which could be read this way is not utf-16, whatever it says (as browsers do)
+  return /^utf-16/i.test(match[1]) ? "utf-8" : match[1].toLowerCase();
+}
+
+// the charset parameter of a Content-Type value, e.g. "text/html; charset=Shift_JIS"
+function charsetParam(contentType) {
+
+  var match = /;\s*charset\s*=\s*["']?([\w.:-]+)/i.exec(contentType || "");
+
+  return match ? match[1].toLowerCase() : null;
+}
+
+module.exports.decodeDocument = decodeDocument;
+module.exports.detectCharset = detectCharset;
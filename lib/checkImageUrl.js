@@ -8,15 +8,22 @@
  * and an indication that it loaded successfully.  In some cases, the image size cannot be determined
  */
 
-var callbackDataBus = new require("callback-data-bus");
 var LOGR = require("./../lib/logr.js");
 var url = require("url");
 var sizeOf = require("image-size");
-var http = require("http");
-var https = require("https");
 var imageType = require("image-type");
+var errors = require("./errors.js");
+var abort = require("./abort.js");
+var fetcher = require("./fetcher.js");
+var probeCache = require("./probeCache.js");
+var _ = require("underscore");
 
 var IMAGE_CHECKER_TIMEOUT = 5000; // 5 second timeout when trying to validate images
+var PROBE_TTL = 60 * 60 * 1000; // probe results are cached for an hour
+var NEGATIVE_PROBE_TTL = 5 * 60 * 1000; // failures for 5 minutes, since they may be transient
+
+// the probe of each url in progress, so concurrent checks of the same url share one probe (see options.inFlight)
+var pendingProbes = {};
 
 function init(info, warn, error, debug) {
   LOGR.init(info, warn, error, debug);
@@ -34,49 +41,162 @@ function init(info, warn, error, debug) {
  *
  * While this was create to test image files, if a non supported extension is used (e.g. "css") it will still work fine since
  * in these cases if file validation is enacted, it will only check for existence of the file (not the contents)
+ *
+ * options (optional):
+ * {
+   fetcher: the fetcher used to retrieve the image (see fetcher.js)
+   cache: {store, ttl, negativeTtl} where store is the cache for probe results (see probeCache.js, the default is an
+          in-memory cache shared by the process), ttl the milliseconds a result is kept (1 hour by default), and
+          negativeTtl the milliseconds a failure is kept (5 minutes by default).  A ttl of 0 does not cache
+   signal: an AbortSignal, when it is aborted the callback is called with an ABORTED error (the image request itself
+           is only aborted once every check waiting on it has been aborted)
+   logr: the logger to log the check with (see logr.js, the module logger by default)
+   inFlight: the probes in progress by url, an object which the checks sharing it fill in, so concurrent checks of
+             the same url wait for one probe (optional, shared by the process by default).  Checks made with
+             different fetchers (which may get different answers for the same url) should not share it, nor a cache
+ * }
+ *
+ * A failed check calls back with a BestImageError (see errors.js) with one of the PROBE_* codes, and the url
  */
 
-function checkImageUrl(imgUrl, ciCallback) {
-  // check if data is cached by registering interest in the key, if data is available
-  // the callback will be invoked with the cached data
-  if (!callbackDataBus.registerFetch(imgUrl, ciCallback)) {
-    // if no data is pending, fetch the data and submit it back to the dataBus
-    // which will call the callback provided in the registration
-    _checkImageUrl(imgUrl, function(err, data) {
-      callbackDataBus.completeFetch(imgUrl, err, data, 10000);
+function checkImageUrl(imgUrl, options, ciCallback) {
+
+  var cache, probe, inFlight;
+
+  if (typeof options === "function") {
+    ciCallback = options;
+    options = {};
+  }
+  options = options || {};
+  cache = cacheSettings(options.cache);
+  inFlight = options.inFlight || pendingProbes;
+
+  if (options.signal && options.signal.aborted) {
+    ciCallback(errors.aborted(imgUrl), null);
+    return;
+  }
+  // if the url is already being probed, wait for that probe
+  if (inFlight[imgUrl]) {
+    addWaiting(inFlight[imgUrl], ciCallback, options.signal);
+    return;
+  }
+  probe = {
+    url: imgUrl,
+    fetcher: options.fetcher || fetcher.defaultFetcher,
+    logr: options.logr || LOGR,
+    inFlight: inFlight,
+    controller: abort.createController(),
+    waiting: []
+  };
+  inFlight[imgUrl] = probe;
+  addWaiting(probe, ciCallback, options.signal);
+
+  cache.store.get(imgUrl, function(cacheErr, cached) {
+    if (cached) {
+      probe.logr.debug("Probe cache hit: " + imgUrl);
+      completeProbe(probe, cached.error && errors.fromJSON(cached.error), cached.dimensions);
+      return;
+    }
+    _checkImageUrl(imgUrl, {fetcher: probe.fetcher, signal: probe.controller.signal, logr: probe.logr}, function(err, data) {
+      var ttl = err ? cache.negativeTtl : cache.ttl;
+
+      // data urls are not fetched, so there is nothing to save by caching them, and an aborted probe (or one
+      // not made because of robots.txt) says nothing about the image
+      if (ttl > 0 && imgUrl.indexOf("data:") !== 0 && !probe.controller.signal.aborted && !isDisallowed(err)) {
+        cache.store.set(imgUrl, {error: err ? err.toJSON() : null, dimensions: data}, ttl, function(setErr) {
+          if (setErr) {
+            probe.logr.debug("Error caching probe: " + imgUrl + " - " + setErr);
+          }
+        });
+      }
+      completeProbe(probe, err, data);
     });
+  });
+}
+
+function isDisallowed(err) {
+  return !!err && err.code === errors.CODES.PROBE_DISALLOWED;
+}
+
+/*
+ * addWaiting
+ *
+ * adds a callback waiting on the probe.  If its signal is aborted, it stops waiting and is called back with
+ * an ABORTED error, and once nobody is waiting the probe itself is aborted
+ */
+function addWaiting(probe, callback, signal) {
+
+  var waiter = {callback: callback, signal: signal, onAbort: null};
+
+  if (signal) {
+    waiter.onAbort = function() {
+      probe.waiting = _.without(probe.waiting, waiter);
+      if (probe.waiting.length === 0) {
+        // a check of the url made from now on needs a probe of its own
+        if (probe.inFlight[probe.url] === probe) {
+          delete probe.inFlight[probe.url];
+        }
+        probe.controller.abort();
+      }
+      callback(errors.aborted(probe.url), null);
+    };
+    signal.addEventListener("abort", waiter.onAbort);
   }
+  probe.waiting.push(waiter);
 }
 
-function _checkImageUrl(imgUrl, ciCallback) {
+/*
+ * cacheSettings
+ *
+ * the probe cache settings with the defaults filled in
+ */
+function cacheSettings(settings) {
+
+  settings = settings || {};
+  return {
+    store: settings.store || probeCache.defaultCache,
+    ttl: (settings.ttl === undefined) ? PROBE_TTL : settings.ttl,
+    negativeTtl: (settings.negativeTtl === undefined) ? NEGATIVE_PROBE_TTL : settings.negativeTtl
+  };
+}
 
-  LOGR.debug("Registred callback array for: " + imgUrl);
+// calls back everyone waiting on the probe, each with their own copy of the dimensions
+function completeProbe(probe, err, dimensions) {
+
+  if (probe.inFlight[probe.url] === probe) {
+    delete probe.inFlight[probe.url];
+  }
+  probe.waiting.forEach(function(waiter) {
+    if (waiter.signal) {
+      waiter.signal.removeEventListener("abort", waiter.onAbort);
+    }
+    waiter.callback(err || null, dimensions ? _.clone(dimensions) : null);
+  });
+  probe.waiting = [];
+}
+
+/*
+ * _checkImageUrl
+ *
+ * probes the image, with request {fetcher, signal, logr}
+ */
+function _checkImageUrl(imgUrl, request, ciCallback) {
 
-  LOGR.debug("Checking Image: " + imgUrl);
+  request.logr.debug("Checking Image: " + imgUrl);
   // Note, if this is a data object (SVG image) then we accept it as it is
   if (imgUrl.indexOf("data:") === 0) {
     ciCallback (null, {loaded: true, width: 200, height: 100});
     return;
   }
 
-  // for testing, we don't actually get the image, we provide faux success
-  if (process.env.NODE_ENV === "test") {
-    if (imgUrl === "testnull.jpg") {
-      ciCallback("Testing Error", null);
-    } else {
-      ciCallback(null, {loaded: true, width: 200, height: 100});  // for testing, return a size
-    }
-    return;
-  }
-
-  getImageSize(imgUrl, function(err, dimensions) {
+  getImageSize(imgUrl, request, function(err, dimensions) {
     // only valid image files will return valid dimensions
     if (err || !dimensions) {
-      LOGR.debug("Not a valid image: " + imgUrl + " - " + err);
+      request.logr.debug("Not a valid image: " + imgUrl + " - " + err);
       ciCallback(err, null);
     } else {
-      LOGR.debug("Image Passed Validation: " + imgUrl);
-      LOGR.debug(dimensions);
+      request.logr.debug("Image Passed Validation: " + imgUrl);
+      request.logr.debug(dimensions);
       ciCallback(err, dimensions);
     }
   });
@@ -87,6 +207,7 @@ function _checkImageUrl(imgUrl, ciCallback) {
  * extensionSupportedForSizing
  *
  * returns an object with the extension, and boolean flag indicating if it is supported
+ * Note, image probes no longer rely on this (see sniffImageType), the url extension is only a guess
  */
 function extensionSupportedForSizing(imgUrl) {
 
@@ -107,242 +228,142 @@ function extensionSupportedForSizing(imgUrl) {
  * getImageSize
  *
  * gets the native size of the image provided in the URL
- * Does this WITHOUT actually reading the entire image, but rather reads "chunks" of the image
- * and tests on each read to see if the header is enough to provide image dimensions
- * Once it has enough and can return the size, it aborts the get.  
+ * Does this WITHOUT actually reading the entire image, the fetcher is asked to stop reading as soon as
+ * the header is enough to provide image dimensions
  *
- * While this was create to test image files, if a non supported extension is used (e.g. "css") it will still work fine since
- * in these cases if file validation is enacted, it will only check for existence of the file (not the contents)
+ * The type of the image is determined from the bytes read and the Content-Type of the response (see sniffImageType),
+ * not from the url, so images served from extensionless urls (and after redirects) are sized correctly.  If the response
+ * is not an image at all (e.g. an html error page) this will fail with PROBE_BAD_IMAGE_TYPE
  */
+function getImageSize(imgUrl, request, cb) {
 
-var callCount = 1;  // global for creating unique keys
-
-function getImageSize(imgUrl, cb) {
+  var options = {
+    url: imgUrl,
+    type: "image",
+    timeout: IMAGE_CHECKER_TIMEOUT,
+    enough: canCalculateSize,
+    signal: request.signal,
+    logr: request.logr
+  };
 
-  var options = url.parse(imgUrl);
-  var r, transport;
-  var extObj = extensionSupportedForSizing(imgUrl);
-  var existenceOnly = !extObj.supported;
+  request.fetcher.get(options, function(err, response) {
 
-  // key tracking is used to handle a bug in http, see comments below this function
-  var thisKey = imgUrl + "[" + callCount++ + "]";
-  enterKey(thisKey);
+    var itype;
 
-  if (options.protocol==="http:") {
-    transport = http;
-  } else if (options.protocol==="https:") {
-    transport = https;
-  } else {
-    if (exitKey(thisKey, "Bad Protocol")) {
-      cb("Bad Protocol", null);
+    if (err) {
+      cb(errors.fromFetchError("PROBE", err, imgUrl), null);
       return;
     }
-  }
-
-  // make the call to retrieve the image/object
-  r = transport.get(options, function (response) {
-
-    updateKey(thisKey, "transporting");
-    var chunks = [];
-
-    // DATA=========
-    response.on("data", function (chunk) {
-      chunks.push(chunk);
-      var buffer = Buffer.concat(chunks);
-      // if the size can be determined by this chunk, will trigger an "end" message
-      // and we process in the "end" block below.  If size cannot be determined, continues to
-      // read chuncks until size is determinable, or EOF reached, all end up at "end"
-      processData(response, thisKey, buffer);
-
-    // END=========
-    }).on("end", function() {
-      var buffer = Buffer.concat(chunks);
-      var options = {  existenceOnly: existenceOnly,
-              thisKey: thisKey,
-              ext: extObj.ext};
-
-      // try and get the size from the chunks, callback with results or error
-      processFileEnd(response, buffer, options, cb);
-
-    // ERROR=========
-    }).on("error", function(e) {  // read error
-      updateKey(thisKey, "on error: " + e);
-      // ignore the "finished" case (not sure why sometimes that comes in as an error)
-      if (e !== "finished") {
-        if (exitKey(thisKey, "finished - could not open file? - on.error")) {
-          cb("Could not open file", null);
-        }
-      }
-    });
-    //-----------------------------------------
-    // error on establishing initial connection
-  }).on("error", function(e) {
-    if (e !== "finished") {
-      LOGR.error("ERROR CALLING HTTP: " + imgUrl + "\n" + e);
-      if (exitKey(thisKey, "error calling http - " + e)) {
-        cb(e, null);
-      }
+    if (response.statusCode !== 200) {
+      cb(new errors.BestImageError(errors.CODES.PROBE_HTTP_STATUS, "Status Code: " + response.statusCode,
+        {url: imgUrl, statusCode: response.statusCode}), null);
+      return;
     }
-  });
-
-  // this is a timeout to abort processing if things got stuck (see notes below on http bug)
-  r.setTimeout( IMAGE_CHECKER_TIMEOUT, function() {
-    // handle timeout here
-    r.abort();
-    if (exitKey(thisKey, "Timeout Reached... abort")) {
-      cb("Timeout", null);
+    itype = sniffImageType(response.body, response.headers);
+    if (!itype) {
+      request.logr.debug("Not an image (" + (response.headers || {})["content-type"] + "): " + imgUrl);
+      cb(new errors.BestImageError(errors.CODES.PROBE_BAD_IMAGE_TYPE, "bad image type", {url: imgUrl}), null);
+      return;
     }
+    // try and get the size from the bytes read, callback with results or error
+    processFileEnd(response.body, itype, imgUrl, cb);
   });
-
-  updateKey(thisKey, "launched transport");
 }
 
 /*
- * processData
+ * canCalculateSize
  *
- * process each chunk of the image file as it is read
+ * true once enough of the image has been read to determine its size
  */
-function processData(response, thisKey, buffer) {
-  updateKey(thisKey, "got a chunk");
-  // once enough data has been read, exit
+function canCalculateSize(buffer) {
   try {
-    updateKey(thisKey, "size calculated, ending file read");
-    var check = sizeOf(buffer);  // throw exception?
-    response.emit('end');
-    response.destroy("finished"); // this will trigger an "end" message
-    return;
+    sizeOf(buffer);
+    return true;
   } catch(e) {  // exception thrown, not enough data?
-    updateKey(thisKey, "size calculate failed, continue reading");
-    return;
+    return false;
   }
 }
 
+/*
+ * sniffImageType
+ *
+ * returns the type of image (jpg, png, gif, svg...) based on the magic bytes at the start of the buffer, or
+ * failing that, the Content-Type of the response.  Returns null if the response is not an image
+ */
+function sniffImageType(buffer, headers) {
+
+  var contentType = ((headers && headers["content-type"]) || "").split(";")[0].trim().toLowerCase();
+  var magic = imageType(buffer);
+  var head;
+
+  // check to see if the buffer is a known file type (jpg, png, gif, webp, tif, bmp, jxr, psd)
+  if (magic) {
+    return (magic.ext === "tif") ? "tiff" : magic.ext;
+  }
+  // svg is text, so there is no magic number
+  head = buffer.slice(0, 1024).toString().toLowerCase();
+  if (contentType === "image/svg+xml" || (contentType.indexOf("html") < 0 && head.indexOf("<svg") >= 0)) {
+    return "svg";
+  }
+  // an image type we cannot recognize from the bytes, we trust the server
+  if (contentType.indexOf("image/") === 0) {
+    return (contentType === "image/jpeg") ? "jpg" : contentType.slice("image/".length);
+  }
+  return null;
+}
+
 /*
  * processFileEnd
  *
- * based on bits in the buffer, try to determine the image size and handle exceptions
+ * based on bits in the buffer, try to determine the image size and handle exceptions.  itype is the
+ * type of the image as determined by sniffImageType, imgUrl the url it was read from
  */
-function processFileEnd(response, buffer, opts, cb) {
+var SIZEABLE_TYPES = ["bmp", "gif", "jpg", "png", "psd", "svg", "tiff", "webp"];
+
+function processFileEnd(buffer, itype, imgUrl, cb) {
 
   var ret = null;
 
   try {
-    if (opts.existenceOnly) {
-      // check to see if the buffer is a valid file type (jpg, png, gif, webp, tif, bmp, jxr, psd)
-      var itype = imageType(buffer);
-      if (itype) {
-        ret = {loaded: true, height: null, width: null, msg:"existenceOnly", itype: itype};
-      } else {
-        // we were checking for existence only (not a supported type for imageSize library)
-        // but we do want to verify that it is an image file, if not, we just bail
-        exitKey(opts.thisKey, "could not verify the image type");
-        cb("bad image type", null);
-        return;
-      }
-    } else {
-      ret = sizeOf(buffer);
-    }
+    ret = sizeOf(buffer);
   } catch(e) {
-    if (exitKey(opts.thisKey, "Error Calculating Image Size")) {
+    if (SIZEABLE_TYPES.indexOf(itype) >= 0) {
       ret = {loaded: true, height: 10, width: 10, err:"loadednocalc"};
-      cb(null, ret);
+    } else {
+      // not a supported type for the imageSize library, but we have verified that it is an image file
+      ret = {loaded: true, height: null, width: null, msg:"existenceOnly", itype: itype};
     }
+    cb(null, ret);
     return;
   }
   // last error case, sizeOf interpreted bits as an SVG file (or other type) when it was not
-  if(ret.type && opts.ext && (ret.type !== opts.ext) && (ret.type !== "jpg")) {
-    if (exitKey(opts.thisKey, "type mismatch")) {
-      cb("type mismatch: " + ret.type, null);
-    }
+  if(ret.type && ret.type !== itype) {
+    cb(new errors.BestImageError(errors.CODES.PROBE_TYPE_MISMATCH, "type mismatch: " + ret.type, {url: imgUrl}), null);
     return;
   }
 
   // callback with return object
-  if (exitKey(opts.thisKey, "finished correctly")) {
-    cb(null, ret);
-  }
+  cb(null, ret);
 }
 
 
-/*===============================================================================================================================
- * This is a HACK that is required due to documented inconsistent behavior from http.get.  the issue is that if I either
- * abort the process, or response.delete(), the resulting messages are inconsistent, leading to errors with callbacks (either
- * calling the callback twice, or not calling it at all).  I put a safeguard in place that assures that no calback will be called
- * more than once, and also used this key tracking system to identify the issue
- *
- * https://github.com/nodejs/node/issues/4233
- */
-
-// global store for keys currently being processed
-var keyStore = {};
-// start processing for this key, throws an exception if the key already exists
-function enterKey(key) {
-  if (key in keyStore) {
-    throw "duplicate key in keystore: " + key;
-  }
-  keyStore[key] = "enter";
-}
-// update this key for debugging purposes
-function updateKey(key, status) {
-  if (key in keyStore) {
-    keyStore[key] = status;
-  } else {
-    throw "updating a non existent key:" + key;
-  }
-}
-// exit the key, a ONE time operation (usually now you call your callback).  Returns FALSE if
-// the key is NOT FOUND, meaning this was already called (and likely a callback already invoked)
-function exitKey(key, status) {
-  if (key in keyStore) {
-    delete keyStore[key];
-    return true;
-  } else {
-    return false; // indicates that key does not exist
-    //throw "exiting a non-existent key thread: " + key;
-  }
-}
-
-// debugging tool to see current state of keyStore, should always resolve to an empty object
-//setInterval(function() {console.log(keyStore);}, 5000);
-//===============================================================================================================================
-
-
 /*
  * resolveRelativeUrl
  *
- * given a source document, and a relative url, will resolve the url to a fully qualified url
- * Note: will do a quick existence check to test for a special case where mod-rewrite will
- * change pathnames based on user agent (emperical observation)
+ * given the base url of a source document, and a relative url, will resolve the url to a fully qualified url
+ * by the standard url resolution rules.  The base should be the effective base of the document, see
+ * docImageParse.documentBase, which accounts for redirects and <base href>
  *
  * If you pass callback as null or undefined, this will operate syncronously and return
- * the modified URL, however it will not do the check for mod rewrite rules
+ * the modified URL
  *
  */
 function resolveRelativeUrl(sourceUrl, imageUrl, callback) {
 
-  var imgUrlData = url.parse(imageUrl);
-  var urlData = url.parse(sourceUrl);
-  var newImg = imageUrl.trim();
+  var newImg = url.resolve(sourceUrl, imageUrl.trim());
 
-  newImg = url.resolve(sourceUrl, imageUrl);
   LOGR.debug("CLEANURL: " + newImg + " - " + sourceUrl);
 
-  // Don't understand, but a site whose base url is http://www.northstarperformance.com/sgstuds.php
-  // and image url is "image.jpg" (no preceding slash).  URL resolves it to http://www.northstarperformance.com/sgstuds.php/image.jpg
-  // which fails, although that is the prescription provided by URL resolution rules
-  // I am still researching, but this says if the image does not load, try and
-  // resolve it as if it had a preceding slash
-  if (newImg && callback && process.env.NODE_ENV !== "test") {
-    checkImageUrl(newImg, function(err, dimensions) {
-      if (err) {
-        newImg = urlData.protocol+"//"+urlData.hostname + "/" + imgUrlData.pathname;
-        LOGR.debug("URL LOOKUP FAILED, changing to:" + newImg);
-      }
-      callback(null, newImg);
-    });
-    return;
-  }
-
   if (callback) {
     callback(null, newImg);
   } else {
@@ -7,14 +7,22 @@
  * 
  */
 
-var request = require("request");
 var async = require("async");
 var cheerio = require("cheerio");
 var cssParse = require("css");
+var url = require("url");
 
-var checkImageUrl = require("./checkImageUrl.js");
+var fetcher = require("./fetcher.js");
+var srcset = require("./srcset.js");
+var structuredData = require("./structuredData.js");
+var videoEmbeds = require("./videoEmbeds.js");
+var _ = require("underscore");
 var LOGR = require("./../lib/logr.js");
 
+// url() and image-set() values in css
+var CSS_URL = /url\(\s*['"]?(.*?)['"]?\s*\)/i;
+var CSS_IMAGE_SET = /(?:-webkit-)?image-set\((.*)\)/i;
+
 function init(info, warn, error, debug) {
   LOGR.init(info, warn, error, debug);
 }
@@ -25,13 +33,29 @@ function init(info, warn, error, debug) {
  * given the body of a document, will parse it with cheerio, and return an array
  * of candidate images
  *
+ * fullUrl is the url the document was retrieved from (after any redirects), the src of each candidate
+ * (obj.src) is resolved against the effective base of the document (see documentBase)
+ *
+ * options (optional) may specify the fetcher used to retrieve stylesheets (see fetcher.js), the signal
+ * which aborts them, and the logger of the lookup (see logr.js)
+ *
  */ 
-function getDocImageArray(fullUrl, body, query, callback) {
+function getDocImageArray(fullUrl, body, query, options, callback) {
+
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+  options = options || {};
 
   var title = "";
   var doc = cheerio.load(body);
 
   doc.fullUrl = fullUrl;
+  doc.baseUrl = documentBase(fullUrl, body);
+  doc.fetcher = options.fetcher || fetcher.defaultFetcher;
+  doc.signal = options.signal;
+  doc.logr = options.logr || LOGR;
 
   var titleHtml = cheerio(body).find("title");
 
@@ -43,6 +67,19 @@ function getDocImageArray(fullUrl, body, query, callback) {
   return extractImages(doc, body, title, query, callback);
 }
 
+/*
+ * documentBase
+ *
+ * returns the url relative urls in the document resolve against: the href of its <base> tag if it has one
+ * (itself relative to the document), otherwise the url of the document
+ */
+function documentBase(fullUrl, html) {
+
+  var base = cheerio(html).find("base[href]").first().attr("href");
+
+  return base ? url.resolve(fullUrl, base.trim()) : fullUrl;
+}
+
 /*
  * extractImages
  *
@@ -54,9 +91,13 @@ function extractImages(doc, html, title, query, callback) {
 
   var images = [];
 
-  // get images marked with meta tags (gets only the first 2)
+  // get images marked with meta tags
   images = getMetaImages(doc, html);
+  images = images.concat(getStructuredDataImages(doc, html));
+  images = images.concat(extractVideoImages(doc, html));
   images = images.concat(extractImageTags(doc, html));
+  images = images.concat(extractLazyBackgrounds(doc, html));
+  images = images.concat(extractInlineStyleImages(doc, html));
 
   getCSSImages(doc, html, function(err, cssImages) {
 
@@ -67,14 +108,18 @@ function extractImages(doc, html, title, query, callback) {
     var imgCheck = {};
 
     // flatten the document object with image attributes/metaData
-    // we also have set isMeta, and docTitle as context for the caller
-    // we remove duplicates at the same time
+    // we also have set isMeta/isStructured/isVideo, source (meta, structured, video, img, css), and docTitle as context for the caller
+    // we remove duplicates at the same time, once the src is resolved against the base of the document
     images.forEach(function(obj, index) {
-      if (!imgCheck[obj.attribs.src]) {
-        obj.src = obj.attribs.src;
+      var src = obj.attribs.src ? url.resolve(doc.baseUrl, obj.attribs.src.trim()) : obj.attribs.src;
+
+      if (!imgCheck[src]) {
+        obj.src = src;
         obj.title = obj.attribs.title;
         obj.class = obj.attribs.class;
         obj.alt = obj.attribs.alt;
+        obj.id = obj.attribs.id;
+        obj.selector = obj.attribs.selector;
         obj.docTitle = title;
         obj.query = query;
         imgCheck[obj.src] = true;
@@ -90,41 +135,151 @@ function extractImages(doc, html, title, query, callback) {
 /*
  * getMetaImages
  *
- * Gets the Meta images from the document, only returns the top 2
+ * Gets all the images curated in meta tags: og:image (with its og:image:secure_url, width, height and alt),
+ * twitter:image, and <link rel="image_src">, in document order.  Declared dimensions are kept as a size
+ * hint (obj.declared), which is trusted so the image need not be probed to be sized
  */
+var META_IMAGE_SELECTOR = "meta[property^='og:image'], meta[name^='og:image'], meta[name^='twitter:image'], " +
+  "meta[property^='twitter:image'], link[rel='image_src']";
+// the properties which start a new image, the others (width, height, alt) describe the last one started
+var META_IMAGE_URLS = ["og:image", "og:image:url", "og:image:secure_url", "twitter:image", "twitter:image:src",
+  "twitter:image0", "image_src"];
+
 function getMetaImages(doc, html) {
 
-  var images = [];
-  var nextObj;
   var ret = [];
-  var obj;
-
-  images = doc("meta[property='og:image'], meta[name='twitter:image:src'], meta[name='twitter:image'], meta[name='twitter:image0']");
-  if (images.length > 0 && images.first().attr("content")) {
-    obj = {};
-    obj.attribs = images.get(0).attribs;
-    obj.attribs.src = obj.attribs.content;
-    obj.isMeta = true;
-    ret.push(obj);
-    // add a second choice if there is one
-    nextObj = images.get(1);
-    if (nextObj) {
-      if ("content" in nextObj.attribs) {
-        obj = {};
-        obj.attribs = nextObj.attribs;
-        obj.attribs.src = obj.attribs.content;
-        obj.isMeta = true;
-        ret.push(obj);
-      }  
+  // the image last started for each of og and twitter, which the following properties describe
+  var current = {};
+
+  doc(META_IMAGE_SELECTOR).each(function() {
+    var name = (this.attribs.property || this.attribs.name || this.attribs.rel || "").toLowerCase();
+    var value = (this.attribs.content || this.attribs.href || "").trim();
+
+    if (value) {
+      addMetaTag(ret, current, name, value);
     }
-  }
+  });
   return ret;
 }
 
+// adds the image started by, or the detail given by a meta tag
+function addMetaTag(ret, current, name, value) {
+
+  var group = (name.indexOf("twitter:") === 0) ? "twitter" : "og";
+
+  if (META_IMAGE_URLS.indexOf(name) < 0) {
+    if (current[group]) {
+      addMetaImageDetail(current[group], name.slice(name.lastIndexOf(":") + 1), value);
+    }
+  } else if (isSameMetaImage(current.og, name, value)) {
+    // og:image:url repeats the og:image, og:image:secure_url is the https version of it
+    current.og.attribs.src = (name === "og:image:secure_url") ? value : current.og.attribs.src;
+  } else {
+    current[group] = {attribs: {src: value}, isMeta: true, source: "meta"};
+    ret.push(current[group]);
+  }
+}
+
+// true if the property gives the url of the og image it follows, rather than starting a new one
+function isSameMetaImage(og, name, value) {
+  return !!og && ((name === "og:image:url" && og.attribs.src === value) || name === "og:image:secure_url");
+}
+
+// adds the width, height or alt of a meta image
+function addMetaImageDetail(obj, detail, value) {
+  if (detail === "width" || detail === "height") {
+    obj.declared = obj.declared || {width: null, height: null};
+    obj.declared[detail] = parseInt(value, 10) || null;
+  } else if (detail === "alt") {
+    obj.attribs.alt = value;
+  }
+}
+
+/*
+ * getStructuredDataImages
+ *
+ * Gets the images curated in the schema.org JSON-LD or microdata of the document (see structuredData.js).
+ * Their declared width and height are kept as a size hint (obj.declared)
+ */
+function getStructuredDataImages(doc, html) {
+
+  return structuredData.findImages(html, doc.logr).map(function(image) {
+    var obj = {
+      attribs: {src: image.url, title: image.caption || undefined},
+      isStructured: true,
+      source: "structured"
+    };
+
+    if (image.width || image.height) {
+      obj.declared = {width: image.width, height: image.height};
+    }
+    return obj;
+  });
+}
+
+/*
+ * extractVideoImages
+ *
+ * Gets the images which represent the videos of the document: the poster of each <video>, and the thumbnail
+ * of each video embedded from (or given as og:video from) a well-known video host (see videoEmbeds.js)
+ */
+var VIDEO_PLAYER_SELECTOR = "meta[property^='og:video'], meta[name='twitter:player'], iframe, embed[src], object[data]";
+
+function extractVideoImages(doc, html) {
+
+  var images = [];
+
+  cheerio(html).find("video[poster]").each(function() {
+    var attribs = this.attribs;
+    var poster = attribs.poster.trim();
+
+    if (poster) {
+      images.push(videoImage(poster, attribs, declaredSize(attribs.width, attribs.height), elementContext(this)));
+    }
+  });
+
+  cheerio(html).find(VIDEO_PLAYER_SELECTOR).each(function() {
+    var attribs = this.attribs;
+    // lazy loaded players keep their url in data-src
+    var thumbnail = videoEmbeds.thumbnailFor(attribs.content || attribs.src || attribs["data-src"] || attribs.data);
+
+    if (thumbnail) {
+      images.push(videoImage(thumbnail.url, {title: attribs.title}, declaredSize(thumbnail.width, thumbnail.height),
+        (this.name === "meta") ? null : elementContext(this)));
+    }
+  });
+  return images;
+}
+
+// a video image candidate, described by the title and class of the video (or player), and where it is
+// in the page (the og:video meta tag has no context)
+function videoImage(src, attribs, declared, context) {
+
+  var obj = {attribs: {src: src, title: attribs.title, class: attribs.class}, isVideo: true, source: "video"};
+
+  if (declared) {
+    obj.declared = declared;
+  }
+  if (context) {
+    obj.context = context;
+  }
+  return obj;
+}
+
+// the declared size if both width and height are given
+function declaredSize(width, height) {
+
+  width = parseInt(width, 10);
+  height = parseInt(height, 10);
+  return (width > 0 && height > 0) ? {width: width, height: height} : null;
+}
+
 /*
  * extractImageTags
  *
- * gets the images in the document identified by <img> tags
+ * gets the images in the document identified by <img> tags, and the <source> tags of <picture> elements.
+ * When a srcset is given, the highest quality variant is used (see srcset.js).  Lazy loaded images are
+ * resolved to their real url (see useLazySrc), and <noscript> fallbacks are found as any other <img>
  */
 function extractImageTags(doc, html) {
   var imgArray = [];
@@ -138,102 +293,625 @@ function extractImageTags(doc, html) {
     var ret;
 
     obj.attribs = item.get(0).attribs;
+    obj.source = "img";
+    obj.context = elementContext(this);
+    addSurroundingText(obj, item);
 
-    if (!obj.attribs.src && obj.attribs.srcset) {
-      var sources = obj.attribs.srcset.split(",");
-      obj.attribs.src = sources[0];
+    // a placeholder for an image which is only loaded by script (or is in a <noscript>) is not a candidate
+    if (!useLazySrc(obj.attribs) && isLazyPlaceholder(item)) {
+      return;
     }
+    useBestSrcsetCandidate(obj);
+    useDeclaredSize(obj);
     imgArray.push(obj);
   });
 
+  // each <source> of a <picture> is a candidate, described by the <img> of the picture
+  cheerio(html).find("picture source").each(function() {
+    var img = cheerio(this).closest("picture").find("img").first();
+    var obj = {};
+
+    obj.attribs = _.extend(_.pick(img.attr() || {}, "alt", "title", "class", "width", "height"), this.attribs);
+    obj.source = "img";
+    obj.context = elementContext(this);
+    addSurroundingText(obj, cheerio(this));
+
+    useLazySrc(obj.attribs);
+    useBestSrcsetCandidate(obj);
+    useDeclaredSize(obj);
+    if (obj.attribs.src) {
+      imgArray.push(obj);
+    }
+  });
+
   return imgArray;
 }
 
+/*
+ * DOM context
+ *
+ * where an element sits in the page, recorded for each candidate found on an element (obj.context) so it can
+ * be scored (see imageScore.contextScore):
+ * {
+   landmarks: the landmark elements it is inside (article, main, header, footer, nav and aside, or the
+              equivalent ARIA roles), each listed once
+   order: index of the element in document order
+   position: order as a fraction of the elements in the document, 0 at the top and 1 at the bottom
+   depth: number of ancestors of the element
+   inLink: true if the element is inside a link
+ * }
+ */
+var LANDMARKS = ["article", "main", "header", "footer", "nav", "aside"];
+var LANDMARK_ROLES = {article: "article", main: "main", banner: "header", contentinfo: "footer",
+          navigation: "nav", complementary: "aside"};
+
+function elementContext(elem) {
+
+  var context = {landmarks: [], order: documentOrder(elem), position: 0, depth: 0, inLink: false};
+  var root = elem;
+  var landmark;
+
+  for (var node = elem.parent; node; node = node.parent) {
+    landmark = (LANDMARKS.indexOf(node.name) >= 0) ? node.name : LANDMARK_ROLES[(node.attribs || {}).role];
+    if (landmark && context.landmarks.indexOf(landmark) < 0) {
+      context.landmarks.push(landmark);
+    }
+    context.inLink = context.inLink || (node.name === "a" && !!node.attribs.href);
+    context.depth++;
+    root = node;
+  }
+  context.position = context.order / Math.max(firstSibling(root).elementCount - 1, 1);
+  return context;
+}
+
+/*
+ * documentOrder
+ *
+ * returns the index of the element in document order.  The elements of the parsed document are numbered
+ * (node.documentOrder) the first time this is called for it, and the count kept on its first top level node
+ */
+function documentOrder(elem) {
+
+  var root = elem;
+  var first, count;
+
+  while (root.parent) {
+    root = root.parent;
+  }
+  first = firstSibling(root);
+  if (first.elementCount === undefined) {
+    count = 0;
+    for (var node = first; node; node = node.next) {
+      count = numberElements(node, count);
+    }
+    first.elementCount = count;
+  }
+  return elem.documentOrder;
+}
+
+// numbers the element and its descendants in document order starting at count, returns the next number
+function numberElements(node, count) {
+  if (node.type === "tag" || node.type === "script" || node.type === "style") {
+    node.documentOrder = count++;
+  }
+  (node.children || []).forEach(function(child) {
+    count = numberElements(child, count);
+  });
+  return count;
+}
+
+function firstSibling(node) {
+  while (node.prev) {
+    node = node.prev;
+  }
+  return node;
+}
+
+/*
+ * addSurroundingText
+ *
+ * records the text describing an image for scoring against the title and query: the <figcaption> of the
+ * <figure> it is in (obj.caption), and the nearby text (obj.nearbyText), an array of the paragraph it is in,
+ * and the closest heading and paragraph beside it or beside one of its ancestors (up to NEARBY_TEXT_LEVELS up)
+ */
+var NEARBY_TEXT_LEVELS = 3;
+// longer text is cut, it says less about the image the further it goes on
+var MAX_TEXT_LENGTH = 300;
+var HEADINGS = "h1, h2, h3, h4, h5, h6";
+
+function addSurroundingText(obj, item) {
+
+  var figure = item.closest("figure");
+  var nearby = [cleanText(item.closest("p").text())];
+  var node = item;
+
+  if (figure.length > 0) {
+    obj.caption = cleanText(figure.find("figcaption").first().text()) || undefined;
+  }
+  for (var level = 0; level < NEARBY_TEXT_LEVELS && node.length > 0; level++) {
+    nearby.push(cleanText(node.prevAll(HEADINGS).first().text()));
+    nearby.push(cleanText(node.nextAll("p").first().text() || node.prevAll("p").first().text()));
+    if (_.compact(nearby).length > 0) {
+      break;
+    }
+    node = node.parent();
+  }
+  obj.nearbyText = _.compact(nearby);
+}
+
+// collapses whitespace, and cuts the text to MAX_TEXT_LENGTH
+function cleanText(text) {
+  return (text || "").replace(/\s+/g, " ").trim().slice(0, MAX_TEXT_LENGTH);
+}
+
+/*
+ * Lazy loading
+ *
+ * lazy loading libraries put a placeholder (a blank or spinner gif, often a data: uri) in the src, and the
+ * real url in another attribute, which is swapped in by script once the image is in view
+ */
+var LAZY_SRC_ATTRIBUTES = ["data-src", "data-lazy-src", "data-original", "data-lazy", "data-original-src",
+          "data-hi-res-src", "data-echo", "data-url"];
+var LAZY_SRCSET_ATTRIBUTES = ["data-srcset", "data-lazy-srcset", "data-original-srcset"];
+var LAZY_BACKGROUND_ATTRIBUTES = ["data-bg", "data-background", "data-background-image", "data-bg-src"];
+
+// data: uris shorter than this are assumed to be placeholders
+var PLACEHOLDER_DATA_URI_LENGTH = 1024;
+var PLACEHOLDER_FILENAME = /(blank|spacer|placeholder|transparent|pixel|lazy|loading|loader|spinner|empty|grey|gray|1x1)[^\/]*$/i;
+
+/*
+ * useLazySrc
+ *
+ * if the image has a lazy loading attribute, use the real url (and srcset) it holds.  Returns true if it did
+ */
+function useLazySrc(attribs) {
+
+  var lazySrc = firstAttribute(attribs, LAZY_SRC_ATTRIBUTES);
+  var lazySrcset = firstAttribute(attribs, LAZY_SRCSET_ATTRIBUTES);
+
+  if (lazySrcset) {
+    attribs.srcset = lazySrcset;
+    if (isPlaceholderSrc(attribs.src)) {
+      // the real image is in the srcset
+      delete attribs.src;
+    }
+  }
+  if (lazySrc) {
+    attribs.src = lazySrc;
+  }
+  return !!(lazySrc || lazySrcset);
+}
+
+/*
+ * isLazyPlaceholder
+ *
+ * true if the image is a placeholder for an image loaded by script (marked with a "lazy" class), or one which
+ * has a <noscript> fallback
+ */
+function isLazyPlaceholder(item) {
+
+  var attribs = item.get(0).attribs;
+
+  if (attribs.srcset || !isPlaceholderSrc(attribs.src)) {
+    return false;
+  }
+  return (/lazy/i).test(attribs.class || "") || item.siblings("noscript").length > 0;
+}
+
+/*
+ * isPlaceholderSrc
+ *
+ * true if the src is empty, a small data: uri, or a file named as a placeholder (blank.gif, loading.png...)
+ */
+function isPlaceholderSrc(src) {
+
+  if (!src || !src.trim()) {
+    return true;
+  }
+  if (src.indexOf("data:") === 0) {
+    return src.length < PLACEHOLDER_DATA_URI_LENGTH;
+  }
+  return PLACEHOLDER_FILENAME.test(src.split(/[?#]/)[0]);
+}
+
+/*
+ * extractLazyBackgrounds
+ *
+ * gets the background images of elements which are lazy loaded (data-bg and similar), these are
+ * treated as css images
+ */
+function extractLazyBackgrounds(doc, html) {
+
+  var imgArray = [];
+  var selector = LAZY_BACKGROUND_ATTRIBUTES.map(function(attr) { return "[" + attr + "]"; }).join(", ");
+
+  cheerio(html).find(selector).each(function() {
+    var value = firstAttribute(this.attribs, LAZY_BACKGROUND_ATTRIBUTES);
+    var cssUrl = value && CSS_URL.exec(value);
+    var src = cssUrl ? cssUrl[1].trim() : value;
+
+    // the attributes may be set but empty (data-bg="", data-bg="url('')") until the script fills them in
+    if (!src) {
+      return;
+    }
+    imgArray.push({
+      attribs: {src: src, class: this.attribs.class, id: this.attribs.id, title: this.attribs.title},
+      source: "css",
+      context: elementContext(this)
+    });
+  });
+  return imgArray;
+}
+
+// returns the value of the first of the attributes which is set (and not empty)
+function firstAttribute(attribs, names) {
+  var found = _.find(names, function(attr) { return attribs[attr] && attribs[attr].trim(); });
+  return found ? attribs[found].trim() : null;
+}
+
+/*
+ * useBestSrcsetCandidate
+ *
+ * if the image has a srcset, use the highest quality variant as its src, and keep the width of the
+ * variant as a size hint (obj.declared).  The height is implied by the width/height attributes if given
+ */
+function useBestSrcsetCandidate(obj) {
+
+  var best = srcset.bestCandidate(obj.attribs);
+  var width = parseInt(obj.attribs.width, 10);
+  var height = parseInt(obj.attribs.height, 10);
+
+  if (!best) {
+    return;
+  }
+  obj.attribs.src = best.url;
+  if (best.width) {
+    obj.declared = {width: best.width, height: (width && height) ? Math.round(best.width * height / width) : null};
+  }
+}
+
+/*
+ * useDeclaredSize
+ *
+ * if the size of the image is not known from its srcset, uses the size declared in its width and height
+ * attributes, or in its style attribute (in px) as the size hint (obj.declared).  Either may be null.  A declared
+ * size of 0 is kept, it marks an image which is not meant to be seen
+ */
+function useDeclaredSize(obj) {
+
+  var width = declaredLength(obj.attribs, "width");
+  var height = declaredLength(obj.attribs, "height");
+
+  if (!obj.declared && (width !== null || height !== null)) {
+    obj.declared = {width: width, height: height};
+  }
+}
+
+// a width or height in pixels from the attribute (not a percentage), or else the style attribute
+function declaredLength(attribs, name) {
+
+  var value = /^\s*(\d+)\s*(?:px)?\s*$/.exec(attribs[name] || "");
+
+  if (!value) {
+    value = new RegExp("(?:^|;)\\s*" + name + "\\s*:\\s*(\\d+)px", "i").exec(attribs.style || "");
+  }
+  return value ? parseInt(value[1], 10) : null;
+}
+
 /*
  * getCSSImages
  *
- * WARNING: callback hell ahead
+ * loads the linked stylesheets (and those @imported by them, or by <style> blocks) and returns the background
+ * images they specify as candidates.  Image urls are resolved relative to the stylesheet they are in
  */
-function getCSSImages(doc, html, callback) {
 
+// limits on following @import rules in stylesheets, so a page cannot have us load an unbounded number of stylesheets
+// (the stylesheets the document links or imports itself are all loaded, as the document lists them)
+var MAX_IMPORT_DEPTH = 3;
+var MAX_IMPORTED_STYLESHEETS = 20;
+
+function getCSSImages(doc, html, callback) {
 
-  var cssLinks = [];
   var cssImages = [];
+  var cssFetcher = doc.fetcher || fetcher.defaultFetcher;
+  // shared by all the stylesheets loaded for this document, so each is only loaded once
+  var state = {fetcher: cssFetcher, signal: doc.signal, logr: doc.logr || LOGR, loaded: {}, imported: 0};
+  var hrefs = [];
+
+  cheerio(html).find("link[rel='stylesheet']").each(function() {
+    if (this.attribs.href) {
+      hrefs.push(this.attribs.href);
+    }
+  });
+  hrefs = hrefs.concat(inlineStyleImports(html, state.logr));
 
-    cssLinks = cheerio(html).find("link[rel='stylesheet']");
-
-    // we now have an array of stylesheet links, we need to parse them
-    // each to find background images referenced
-    async.each(cssLinks, function(cssObj, async_cb) {
-
-    var href = cssObj.attribs.href;
-
-    if (href) {
-      // resolve the path relative url to the CSS file
-      checkImageUrl.resolveRelativeUrl(doc.fullUrl, href, function(err, fullUrl) {
-
-        // Ok, let's continue this nested async nightmare by reading in the CSS contents
-        request.get(fullUrl, function (error, response, body) {
-
-          if (error || response.statusCode !== 200) {
-            LOGR.debug("Error loading CSS file: " + fullUrl + " - " + error);
-            async_cb();
-          } else {
-            // find all the background image tags and add the URL's to the array
-
-            try {
-              // parse CSS file into an AST structure (see reworkcss)
-              var ast = cssParse.parse(body);
-              if(ast && ast.stylesheet && ast.stylesheet.rules) {
-                ast.stylesheet.rules.forEach(function(rule) {
-                  // find background or background-image declarations
-                  if (rule && rule.declarations) {
-                    rule.declarations.forEach(function(item) {
-                      if (item.property === "background-image" || item.property === "background") {
-                        // check for a 'url' property, if it exists, that is our image URL to test
-                        if(item.value.trim().indexOf("url") === 0) {
-                          var imgUrl = item.value.trim();
-
-                          imgUrl = /(?:\(['"]?)(.*?)(?:['"]?\))/.exec(imgUrl);
-                          if (imgUrl && imgUrl.length >= 2) {
-                            LOGR.debug("IMAGE URL = " + imgUrl[1]);
-                            var obj = {attribs: {src: imgUrl[1]}};
-                            cssImages.push(obj);
-                          } else {
-                            LOGR.debug("NO IMAGE FOUND");
-                          }  
-                        }
-                      }  
-                    });
-                  }
-                });
-              }  
-            } catch(e) {
-              console.log("Parsing Error: " + e);
-            }
-            // serves as the callback for everything in the else clause 
-            async_cb();
-          }
-        });
-      });
-    } else {
+  // we now have an array of stylesheet links, we need to parse them
+  // each to find background images referenced
+  async.each(hrefs, function(href, async_cb) {
+
+    // resolve the path relative url to the CSS file
+    loadStylesheet(state, url.resolve(doc.baseUrl || doc.fullUrl, href.trim()), 0, function(err, images) {
+      cssImages = cssImages.concat(images);
       async_cb();
-    }
+    });
   }, function() {  // ASYNC collector function
     callback(null, cssImages);
   });
+}
+
+/*
+ * loadStylesheet
+ *
+ * loads the stylesheet at sheetUrl, and returns the background images in it, and in the stylesheets it imports
+ * (up to MAX_IMPORT_DEPTH levels deep, and MAX_IMPORTED_STYLESHEETS for the document).  A stylesheet that fails to
+ * load simply has no images
+ */
+function loadStylesheet(state, sheetUrl, depth, callback) {
+
+  if (state.loaded[sheetUrl] || (depth > 0 && state.imported >= MAX_IMPORTED_STYLESHEETS)) {
+    callback(null, []);
+    return;
+  }
+  state.loaded[sheetUrl] = true;
+  if (depth > 0) {
+    state.imported++;
+  }
+
+  state.fetcher.get({url: sheetUrl, type: "stylesheet", signal: state.signal, logr: state.logr}, function (error, response) {
+
+    var imports = [];
+    var images, baseUrl;
+
+    if (error || response.statusCode !== 200) {
+      state.logr.debug("Error loading CSS file: " + sheetUrl + " - " + error);
+      callback(null, []);
+      return;
+    }
+    baseUrl = response.url || sheetUrl;
+    images = extractStylesheetImages(response.body, imports, state.logr);
+    images.forEach(function(img) {
+      img.attribs.src = url.resolve(baseUrl, img.attribs.src);
+    });
+    if (depth >= MAX_IMPORT_DEPTH) {
+      callback(null, images);
+      return;
+    }
+    async.mapSeries(imports, function(importUrl, map_cb) {
+      loadStylesheet(state, url.resolve(baseUrl, importUrl), depth + 1, map_cb);
+    }, function(err, imported) {
+      callback(null, images.concat(_.flatten(imported, true)));
+    });
+  });
+}
+
+/*
+ * inlineStyleImports
+ *
+ * returns the urls of the stylesheets @imported by the <style> blocks of the document
+ */
+function inlineStyleImports(html, logr) {
+
+  var imports = [];
 
+  cheerio(html).find("style").each(function() {
+    extractStylesheetImages(cheerio(this).text(), imports, logr);
+  });
+  return imports;
 }
 
+/*
+ * extractStylesheetImages
+ *
+ * parses the given css text, and returns the background images it specifies as candidates.  Each
+ * candidate carries the selector of its rule as context (attribs.selector).  Rules nested in @media,
+ * @supports and similar blocks are included.  If an imports array is given, the urls of any @import
+ * rules are added to it.  logr is the logger of the lookup (optional)
+ */
+function extractStylesheetImages(cssText, imports, logr) {
+
+  var cssImages = [];
 
+  logr = logr || LOGR;
+  try {
+    // parse CSS file into an AST structure (see reworkcss)
+    var ast = cssParse.parse(cssText);
+    if(ast && ast.stylesheet && ast.stylesheet.rules) {
+      collectRuleImages(ast.stylesheet.rules, cssImages, imports || [], logr);
+    }  
+  } catch(e) {
+    logr.error("Parsing Error: " + e);
+  }
+  return cssImages;
+}
+
+/*
+ * collectRuleImages
+ *
+ * adds the background images of the given css rules to cssImages, recursing into nested rule blocks
+ */
+function collectRuleImages(rules, cssImages, imports, logr) {
+
+  rules.forEach(function(rule) {
+    var importUrl;
+
+    if (rule.type === "import") {
+      importUrl = /^\s*(?:url\(\s*)?['"]?([^'"()\s]+)/.exec(rule.import || "");
+      if (importUrl) {
+        imports.push(importUrl[1]);
+      }
+    } else if (rule.rules) {
+      // @media, @supports, @document and @host blocks
+      collectRuleImages(rule.rules, cssImages, imports, logr);
+    } else if (rule.declarations) {
+      declarationImages(rule.declarations, logr).forEach(function(src) {
+        cssImages.push({attribs: {src: src, selector: (rule.selectors || []).join(", ")}, source: "css"});
+      });
+    }
+  });
+}
+
+/*
+ * extractInlineStyleImages
+ *
+ * gets the background images specified in the document itself, either in style attributes (these carry
+ * the class, id and title of the element as context), or in <style> blocks
+ */
+function extractInlineStyleImages(doc, html) {
+
+  var cssImages = [];
+
+  cheerio(html).find("[style]").each(function() {
+    var attribs = this.attribs;
+    var context = elementContext(this);
+
+    styleAttributeImages(attribs.style, doc.logr).forEach(function(src) {
+      cssImages.push({attribs: {src: src, class: attribs.class, id: attribs.id, title: attribs.title}, source: "css", context: context});
+    });
+  });
+
+  cheerio(html).find("style").each(function() {
+    cssImages = cssImages.concat(extractStylesheetImages(cheerio(this).text(), null, doc.logr));
+  });
+  return cssImages;
+}
+
+/*
+ * styleAttributeImages
+ *
+ * returns the urls of background images in the declarations of a style attribute
+ */
+function styleAttributeImages(style, logr) {
+
+  logr = logr || LOGR;
+  if (!style || !(/url\(/i).test(style)) {
+    return [];
+  }
+  try {
+    return declarationImages(cssParse.parse("x {" + style + "}").stylesheet.rules[0].declarations || [], logr);
+  } catch(e) {
+    logr.debug("Parsing Error in style attribute: " + e);
+    return [];
+  }
+}
+
+/*
+ * declarationImages
+ *
+ * returns the urls from the background or background-image declarations in the array of css declarations
+ */
+function declarationImages(declarations, logr) {
+
+  var urls = [];
+
+  declarations.forEach(function(item) {
+    if (item.property === "background-image" || item.property === "background") {
+      urls = urls.concat(backgroundImageUrls(item.value, logr));
+    }  
+  });
+  return urls;
+}
+
+/*
+ * backgroundImageUrls
+ *
+ * returns the image urls in a background value, which may have several comma separated layers, e.g.
+ * "url(a.png) no-repeat, linear-gradient(red, blue), #fff url(b.jpg)".  For an image-set() layer, the highest
+ * density image is used.  logr is the logger of the lookup (optional)
+ */
+function backgroundImageUrls(value, logr) {
+
+  var urls = [];
+
+  logr = logr || LOGR;
+  splitTopLevel(value || "").forEach(function(layer) {
+    var imgUrl = layerImageUrl(layer);
+
+    if (imgUrl) {
+      logr.debug("IMAGE URL = " + imgUrl);
+      urls.push(imgUrl);
+    }
+  });
+  return urls;
+}
+
+// the image url of a single background layer (or null for a color or gradient)
+function layerImageUrl(layer) {
+
+  var imageSet = CSS_IMAGE_SET.exec(layer);
+  var cssUrl;
+
+  if (imageSet) {
+    return bestImageSetUrl(imageSet[1]);
+  }
+  cssUrl = CSS_URL.exec(layer);
+  return cssUrl ? cssUrl[1] : null;
+}
+
+/*
+ * bestImageSetUrl
+ *
+ * returns the url of the highest density option in the arguments of an image-set(), whose options are
+ * either url() or a quoted string, followed by an optional resolution, e.g. 'url(a.jpg) 1x, "b.jpg" 2x'
+ */
+function bestImageSetUrl(options) {
+
+  var best = null;
+  var bestDensity = 0;
+
+  splitTopLevel(options).forEach(function(option) {
+    var imgUrl = CSS_URL.exec(option) || /['"]([^'"]+)['"]/.exec(option);
+    var density = /(\d*\.?\d+)(?:x|dppx)\s*$/.exec(option);
+
+    density = density ? parseFloat(density[1]) : 1;
+    if (imgUrl && density > bestDensity) {
+      best = imgUrl[1];
+      bestDensity = density;
+    }
+  });
+  return best;
+}
+
+/*
+ * splitTopLevel
+ *
+ * splits a css value on the commas which are not inside parens
+ */
+function splitTopLevel(value) {
+
+  var parts = [];
+  var depth = 0;
+  var start = 0;
+  var c, i;
+
+  for (i = 0; i < value.length; i++) {
+    c = value.charAt(i);
+    if (c === "," && depth === 0) {
+      parts.push(value.slice(start, i));
+      start = i + 1;
+    }
+    depth += (c === "(") ? 1 : ((c === ")") ? -1 : 0);
+  }
+  parts.push(value.slice(start));
+  return parts;
+}
 
 if (process.env.NODE_ENV === "test") {
   module.exports.extractImages = extractImages;
   module.exports.getMetaImages = getMetaImages;
+  module.exports.getStructuredDataImages = getStructuredDataImages;
+  module.exports.extractVideoImages = extractVideoImages;
   module.exports.extractImageTags = extractImageTags;
+  module.exports.elementContext = elementContext;
+  module.exports.useDeclaredSize = useDeclaredSize;
+  module.exports.extractLazyBackgrounds = extractLazyBackgrounds;
+  module.exports.isPlaceholderSrc = isPlaceholderSrc;
   module.exports.getCSSImages = getCSSImages;
+  module.exports.extractStylesheetImages = extractStylesheetImages;
+  module.exports.extractInlineStyleImages = extractInlineStyleImages;
+  module.exports.backgroundImageUrls = backgroundImageUrls;
 }
 
 module.exports.init = init;
 module.exports.getDocImageArray = getDocImageArray;
+module.exports.documentBase = documentBase;
 
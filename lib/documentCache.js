@@ -0,0 +1,138 @@
+"use strict";
+
+/*
+ * documentCache.js
+ *
+ * Optional cache of documents and their best image results, for repeat crawls of the same urls.  A document is
+ * stored with its ETag and Last-Modified, so the next lookup of the url can make a conditional request.  When the
+ * server answers 304 (Not Modified) the cached body is used, and if the same url was already looked up with the
+ * same query and scoring config, its results are returned without parsing the document or probing any images.
+ *
+ * settings are {store, ttl}, where store is a cache with the interface of probeCache.js, and ttl the milliseconds
+ * entries are kept (7 days by default).  Every function here does nothing when settings is null
+ *
+ */
+
+var crypto = require("crypto");
+var LOGR = require("./../lib/logr.js");
+
+var DOCUMENT_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/*
+ * getDocument
+ *
+ * calls back with the cached document for the url as {url, body, etag, lastModified, version}, or null
+ */
+function getDocument(settings, docUrl, callback) {
+
+  if (!settings) {
+    callback(null);
+    return;
+  }
+  settings.store.get("document:" + docUrl, function(err, entry) {
+    callback(err ? null : entry);
+  });
+}
+
+/*
+ * conditionalHeaders
+ *
+ * the request headers which ask the server to answer 304 if the cached document has not changed
+ */
+function conditionalHeaders(entry) {
+
+  var headers = {};
+
+  if (entry && entry.etag) {
+    headers["if-none-match"] = entry.etag;
+  }
+  if (entry && entry.lastModified) {
+    headers["if-modified-since"] = entry.lastModified;
+  }
+  return headers;
+}
+
+/*
+ * saveDocument
+ *
+ * caches the (decoded) body of the document retrieved for docUrl, if the response has an ETag or Last-Modified
+ * to validate it with later.  Returns the version of the document (which results are cached against), or null
+ * if it was not cached
+ */
+function saveDocument(settings, docUrl, response, body) {
+
+  var headers = response.headers || {};
+  var etag = headers.etag || null;
+  var lastModified = headers["last-modified"] || null;
+  var entry;
+
+  if (!settings || !(etag || lastModified)) {
+    return null;
+  }
+  entry = {
+    url: response.url || docUrl,
+    body: body,
+    etag: etag,
+    lastModified: lastModified,
+    version: etag + "|" + lastModified
+  };
+  settings.store.set("document:" + docUrl, entry, ttl(settings), logSetError);
+  return entry.version;
+}
+
+/*
+ * resultKey
+ *
+ * the key for the results of a lookup, made from everything that determines them: the url, query,
+ * scoring config, number of results and whether the site icon is a fallback
+ */
+function resultKey(ctx) {
+
+  var parts = JSON.stringify([ctx.url, ctx.query, ctx.config, ctx.count, ctx.fallbackIcon]);
+
+  return "results:" + crypto.createHash("sha1").update(parts).digest("hex");
+}
+
+/*
+ * getResults
+ *
+ * calls back with the results cached under the key for this version of the document, or null
+ */
+function getResults(settings, key, version, callback) {
+
+  if (!settings || !version) {
+    callback(null);
+    return;
+  }
+  settings.store.get(key, function(err, entry) {
+    callback((!err && entry && entry.version === version) ? entry.results : null);
+  });
+}
+
+/*
+ * saveResults
+ *
+ * caches the results of a lookup for this version of the document
+ */
+function saveResults(settings, key, version, results) {
+  if (settings && version) {
+    settings.store.set(key, {version: version, results: results}, ttl(settings), logSetError);
+  }
+}
+
+function ttl(settings) {
+  return (settings.ttl === undefined) ? DOCUMENT_TTL : settings.ttl;
+}
+
+function logSetError(err) {
+  if (err) {
+    LOGR.debug("Error writing document cache: " + err);
+  }
+}
+
+module.exports.getDocument = getDocument;
+module.exports.conditionalHeaders = conditionalHeaders;
+module.exports.saveDocument = saveDocument;
+module.exports.resultKey = resultKey;
+module.exports.getResults = getResults;
+module.exports.saveResults = saveResults;
@@ -0,0 +1,136 @@
+"use strict";
+
+/*
+ * errors.js
+ *
+ * Every failure passed to a callback (or rejected by a promise) is a BestImageError, an Error with a stable
+ * code to branch on, and the details of the failure:
+ *
+ * {
+   code: one of CODES
+   message: a description of the failure, for people
+   url: the url of the document, image or stylesheet which failed (if any)
+   statusCode: the http status code of the response (for the *_HTTP_STATUS codes)
+   cause: the BestImageError (or the error from a fetcher) which caused this one (if any)
+   candidates: for ALL_CANDIDATES_INVALID, why each candidate image failed, as {src, code, message, statusCode}
+   skipped: for a failed lookup with robots.txt compliance on, the urls it did not retrieve, as {url, type, reason}
+ * }
+ *
+ */
+
+var util = require("util");
+
+var CODES = {
+  // the document
+  DOCUMENT_HTTP_STATUS: "DOCUMENT_HTTP_STATUS",   // the document was answered with a status other than 200
+  DOCUMENT_NETWORK: "DOCUMENT_NETWORK",           // the document could not be retrieved
+  DOCUMENT_TIMEOUT: "DOCUMENT_TIMEOUT",           // the request for the document timed out
+  DOCUMENT_DISALLOWED: "DOCUMENT_DISALLOWED",     // robots.txt disallows the document
+  // the images
+  NO_CANDIDATES: "NO_CANDIDATES",                 // the document has no candidate images
+  ALL_CANDIDATES_INVALID: "ALL_CANDIDATES_INVALID", // none of the candidate images loaded (see candidates)
+  PROBE_HTTP_STATUS: "PROBE_HTTP_STATUS",         // an image was answered with a status other than 200
+  PROBE_NETWORK: "PROBE_NETWORK",                 // an image could not be retrieved
+  PROBE_TIMEOUT: "PROBE_TIMEOUT",                 // the request for an image timed out
+  PROBE_DISALLOWED: "PROBE_DISALLOWED",           // robots.txt disallows an image
+  PROBE_BAD_IMAGE_TYPE: "PROBE_BAD_IMAGE_TYPE",   // the response for an image is not an image
+  PROBE_TYPE_MISMATCH: "PROBE_TYPE_MISMATCH",     // the image is not of the type its response claims
+  NO_SITE_ICON: "NO_SITE_ICON",                   // none of the icons of the site loaded
+  // the lookup
+  ABORTED: "ABORTED",                             // the lookup (or request) was cancelled
+  DEADLINE_EXCEEDED: "DEADLINE_EXCEEDED",         // the lookup ran out of time
+  // requests, made by the fetchers
+  TIMEOUT: "TIMEOUT",
+  TOO_MANY_REDIRECTS: "TOO_MANY_REDIRECTS",
+  BAD_PROTOCOL: "BAD_PROTOCOL",
+  NETWORK: "NETWORK",
+  DISALLOWED: "DISALLOWED",
+  NO_FIXTURE: "NO_FIXTURE"
+};
+
+// the fields of a BestImageError which are kept when it is serialized (see toJSON)
+var DETAIL_FIELDS = ["url", "statusCode", "candidates", "skipped"];
+
+/*
+ * BestImageError
+ *
+ * details (optional) are the url, statusCode, cause and candidates of the failure
+ */
+function BestImageError(code, message, details) {
+
+  var self = this;
+
+  Error.call(this, message);
+  Error.captureStackTrace(this, BestImageError);
+  this.name = "BestImageError";
+  this.code = code;
+  this.message = message;
+  details = details || {};
+  DETAIL_FIELDS.concat("cause").forEach(function(field) {
+    if (details[field] !== undefined) {
+      self[field] = details[field];
+    }
+  });
+}
+util.inherits(BestImageError, Error);
+
+/*
+ * toJSON
+ *
+ * the error as a plain object (for caches and logs), without the cause
+ */
+BestImageError.prototype.toJSON = function() {
+
+  var self = this;
+  var json = {code: this.code, message: this.message};
+
+  DETAIL_FIELDS.forEach(function(field) {
+    if (self[field] !== undefined) {
+      json[field] = self[field];
+    }
+  });
+  return json;
+};
+
+/*
+ * fromJSON
+ *
+ * rebuilds an error serialized with toJSON
+ */
+function fromJSON(json) {
+  return (typeof json === "string") ? new BestImageError(CODES.NETWORK, json) : new BestImageError(json.code, json.message, json);
+}
+
+/*
+ * fromFetchError
+ *
+ * the error for a request made for prefix ("DOCUMENT" or "PROBE") which failed in the fetcher with cause.  Fetchers
+ * may call back with any error, those which are not BestImageErrors are network errors
+ */
+var FETCH_CODES = {TIMEOUT: "_TIMEOUT", ETIMEDOUT: "_TIMEOUT", ESOCKETTIMEDOUT: "_TIMEOUT", DISALLOWED: "_DISALLOWED"};
+
+function fromFetchError(prefix, cause, requestUrl) {
+
+  var code = cause && cause.code;
+  var message = (cause && cause.message) || String(cause);
+
+  if (code === CODES.ABORTED) {
+    return cause;
+  }
+  return new BestImageError(prefix + (FETCH_CODES[code] || "_NETWORK"), message, {url: requestUrl, cause: cause});
+}
+
+/*
+ * aborted
+ *
+ * the error for a request which was not made, or abandoned, because its lookup was aborted
+ */
+function aborted(requestUrl) {
+  return new BestImageError(CODES.ABORTED, "Aborted", {url: requestUrl});
+}
+
+module.exports.CODES = CODES;
+module.exports.BestImageError = BestImageError;
+module.exports.fromJSON = fromJSON;
+module.exports.fromFetchError = fromFetchError;
+module.exports.aborted = aborted;
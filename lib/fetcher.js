@@ -0,0 +1,450 @@
+"use strict";
+
+/*
+ * fetcher.js
+ *
+ * All outbound requests (the html document, stylesheets, and image probes) are made through a "fetcher", so the
+ * caller can provide their own (for auth, proxies, instrumentation, or to run offline against fixtures).
+ * A fetcher is an object with a single function:
+ *
+ * get(options, callback)
+ *
+ * options:
+ * {
+   url: fully qualified url to retrieve
+   type: "document", "stylesheet", "manifest" (web app manifest), "robots" (robots.txt, see robots.js) or "image"
+   timeout: milliseconds before giving up on the request (optional, 5 seconds by default)
+   maxRedirects: the most redirects to follow before giving up (optional)
+   headers: request headers to send (optional, lower case names).  Documents in the document cache are requested
+            with If-None-Match and If-Modified-Since (see documentCache.js), a fetcher which ignores them simply
+            never answers 304 (Not Modified)
+   jar: a cookie jar (see createCookieJar) to send cookies from, and keep the cookies set by the response in
+        (optional)
+   signal: an AbortSignal which is aborted when the lookup is cancelled or runs out of time (optional).  A fetcher
+           should then abort the request and call back with an error
+   enough: function(buffer) which returns true once enough of the body has been read (optional).  Image probes
+           use this to stop reading once the dimensions are known, a fetcher may ignore it and return the full body
+   logr: the logger of the lookup the request is made for (optional, see logr.js)
+ * }
+ *
+ * callback(err, response) where err is an Error (the default fetcher calls back with a BestImageError, see errors.js,
+ * with code TIMEOUT, TOO_MANY_REDIRECTS, BAD_PROTOCOL, NETWORK or ABORTED) and response is:
+ * {
+   statusCode: http status code
+   headers: response headers (lower case names)
+   body: the body read, a string for stylesheets, manifests and robots.txt, a Buffer for images.  For documents, either a Buffer
+         of the raw bytes (decoded by their charset, see charset.js) or a string if the fetcher decoded it already
+   url: the url the body was retrieved from (after any redirects)
+ * }
+ */
+
+var request = require("request");
+var url = require("url");
+var http = require("http");
+var https = require("https");
+var errors = require("./errors.js");
+var LOGR = require("./../lib/logr.js");
+
+// for requests made without options.timeout, so a server which never answers cannot hold a scheduler slot for good
+var DEFAULT_TIMEOUT = 5000;
+
+function init(info, warn, error, debug) {
+  LOGR.init(info, warn, error, debug);
+}
+
+/*
+ * defaultFetcher
+ *
+ * documents and stylesheets are retrieved with request, images are read in chunks over http/https and
+ * the read is aborted as soon as options.enough is satisfied.  Both follow redirects, and are aborted
+ * by options.signal
+ */
+var defaultFetcher = {
+  get: function(options, callback) {
+    if (options.signal && options.signal.aborted) {
+      callback(errors.aborted(options.url), null);
+    } else if (options.type === "image") {
+      getChunked(options, callback);
+    } else {
+      getText(options, callback);
+    }
+  }
+};
+
+/*
+ * getText
+ *
+ * retrieves the full body of a document or stylesheet.  Documents are retrieved as raw bytes, so they can be
+ * decoded according to their charset
+ */
+function getText(options, callback) {
+
+  var reqOptions = {url: options.url, timeout: options.timeout || DEFAULT_TIMEOUT, headers: options.headers};
+
+  if (options.type === "document") {
+    reqOptions.encoding = null;
+  }
+
+  if (options.maxRedirects !== undefined) {
+    reqOptions.maxRedirects = options.maxRedirects;
+  }
+  if (options.jar) {
+    reqOptions.jar = options.jar;
+  }
+
+  var finished = false;
+  var stopListening = function() {};
+  var req = request.get(reqOptions, function (error, response, body) {
+
+    finished = true;
+    stopListening();
+    if (options.signal && options.signal.aborted) {
+      return;
+    }
+    if (error) {
+      callback(networkError(options.url, error), null);
+      return;
+    }
+    callback(null, {
+      statusCode: response.statusCode,
+      headers: response.headers || {},
+      body: body,
+      url: (response.request && response.request.uri) ? response.request.uri.href : options.url
+    });
+  });
+
+  // (the request may have called back already)
+  if (!finished) {
+    stopListening = onAbort(options.signal, function() {
+      req.abort();
+      callback(errors.aborted(options.url), null);
+    });
+  }
+}
+
+/*
+ * networkError
+ *
+ * the error for a request which failed with cause (an error from request or http)
+ */
+function networkError(requestUrl, cause) {
+
+  var timedOut = cause && (cause.code === "ETIMEDOUT" || cause.code === "ESOCKETTIMEDOUT");
+
+  return new errors.BestImageError(timedOut ? errors.CODES.TIMEOUT : errors.CODES.NETWORK, String((cause && cause.message) || cause),
+    {url: requestUrl, cause: cause});
+}
+
+/*
+ * onAbort
+ *
+ * calls handler when the signal (if any) is aborted.  Returns a function which stops listening
+ */
+function onAbort(signal, handler) {
+
+  if (!signal) {
+    return function() {};
+  }
+  signal.addEventListener("abort", handler);
+  return function() {
+    signal.removeEventListener("abort", handler);
+  };
+}
+
+/*
+ * getChunked
+ *
+ * Reads the body WITHOUT reading the entire object, but rather reads "chunks" and tests each read with options.enough
+ * Once it has enough, it aborts the get.
+ *
+ * Redirects (301, 302, 303, 307, 308) are followed, up to options.maxRedirects hops, including those which
+ * switch between http and https
+ */
+
+var callCount = 1;  // global for creating unique keys
+var DEFAULT_MAX_REDIRECTS = 5;
+var REDIRECT_CODES = [301, 302, 303, 307, 308];
+
+function getChunked(options, cb) {
+  getHop(options, options.url, 0, cb);
+}
+
+/*
+ * getHop
+ *
+ * retrieves a single url in the (possible) chain of redirects, hops is the number of redirects followed so far
+ */
+function getHop(options, hopUrl, hops, callback) {
+
+  var urlObj = url.parse(hopUrl);
+  var maxRedirects = (options.maxRedirects === undefined) ? DEFAULT_MAX_REDIRECTS : options.maxRedirects;
+  var r, transport;
+  var stopListening = function() {};
+  var cb = function(err, response) {
+    stopListening();
+    callback(err, response);
+  };
+
+  // key tracking is used to handle a bug in http, see comments below this function
+  var thisKey = hopUrl + "[" + callCount++ + "]";
+  enterKey(thisKey);
+
+  if (urlObj.protocol==="http:") {
+    transport = http;
+  } else if (urlObj.protocol==="https:") {
+    transport = https;
+  } else {
+    if (exitKey(thisKey, "Bad Protocol")) {
+      cb(new errors.BestImageError(errors.CODES.BAD_PROTOCOL, "Bad Protocol", {url: hopUrl}), null);
+    }
+    return;
+  }
+
+  urlObj.headers = hopHeaders(options, hopUrl);
+
+  // make the call to retrieve the image/object
+  r = transport.get(urlObj, function (response) {
+
+    updateKey(thisKey, "transporting");
+    var chunks = [];
+
+    keepCookies(options, hopUrl, response.headers["set-cookie"]);
+
+    // REDIRECT=========
+    if (REDIRECT_CODES.indexOf(response.statusCode) >= 0 && response.headers.location) {
+      response.resume();  // discard the body
+      if (exitKey(thisKey, "redirected")) {
+        if (hops >= maxRedirects) {
+          cb(new errors.BestImageError(errors.CODES.TOO_MANY_REDIRECTS, "Too many redirects", {url: options.url}), null);
+        } else {
+          // the location may be relative, and may switch the protocol
+          getHop(options, url.resolve(hopUrl, response.headers.location), hops + 1, cb);
+        }
+      }
+      return;
+    }
+
+    // DATA=========
+    response.on("data", function (chunk) {
+      chunks.push(chunk);
+      // if we have read enough, will trigger an "end" message
+      // and we process in the "end" block below.  If not, continues to
+      // read chuncks until enough has been read, or EOF reached, all end up at "end"
+      processData(response, thisKey, Buffer.concat(chunks), options.enough);
+
+    // END=========
+    }).on("end", function() {
+      if (exitKey(thisKey, "finished correctly")) {
+        cb(null, {
+          statusCode: response.statusCode,
+          headers: response.headers,
+          body: Buffer.concat(chunks),
+          url: hopUrl
+        });
+      }
+
+    // ERROR=========
+    }).on("error", function(e) {  // read error
+      // ignore the "finished" case (not sure why sometimes that comes in as an error)
+      if (e !== "finished") {
+        if (exitKey(thisKey, "finished - could not open file? - on.error")) {
+          cb(networkError(hopUrl, "Could not open file"), null);
+        }
+      }
+    });
+    //-----------------------------------------
+    // error on establishing initial connection
+  }).on("error", function(e) {
+    if (e !== "finished") {
+      (options.logr || LOGR).error("ERROR CALLING HTTP: " + hopUrl + "\n" + e);
+      if (exitKey(thisKey, "error calling http - " + e)) {
+        cb(networkError(hopUrl, e), null);
+      }
+    }
+  });
+
+  // this is a timeout to abort processing if things got stuck (see notes below on http bug)
+  r.setTimeout( options.timeout || DEFAULT_TIMEOUT, function() {
+    // handle timeout here
+    r.abort();
+    if (exitKey(thisKey, "Timeout Reached... abort")) {
+      cb(new errors.BestImageError(errors.CODES.TIMEOUT, "Timeout", {url: hopUrl}), null);
+    }
+  });
+
+  stopListening = onAbort(options.signal, function() {
+    r.abort();
+    if (exitKey(thisKey, "Aborted")) {
+      callback(errors.aborted(options.url), null);
+    }
+  });
+
+  updateKey(thisKey, "launched transport");
+}
+
+/*
+ * hopHeaders
+ *
+ * the request headers for a hop, with the cookies of the jar for its url
+ */
+function hopHeaders(options, hopUrl) {
+
+  var headers = {};
+  var cookies = options.jar ? options.jar.getCookieString(hopUrl) : "";
+
+  Object.keys(options.headers || {}).forEach(function(name) {
+    headers[name] = options.headers[name];
+  });
+  if (cookies) {
+    headers.cookie = cookies;
+  }
+  return headers;
+}
+
+// keeps the cookies set by a response in the jar of the request
+function keepCookies(options, hopUrl, setCookies) {
+  if (options.jar && setCookies) {
+    [].concat(setCookies).forEach(function(cookie) {
+      try {
+        options.jar.setCookie(cookie, hopUrl);
+      } catch(e) {
+        (options.logr || LOGR).debug("Ignoring cookie from " + hopUrl + " - " + e);
+      }
+    });
+  }
+}
+
+/*
+ * processData
+ *
+ * process each chunk of the file as it is read
+ */
+function processData(response, thisKey, buffer, enough) {
+  // a chunk may still arrive after the read was ended
+  if (!(thisKey in keyStore)) {
+    return;
+  }
+  updateKey(thisKey, "got a chunk");
+  // once enough data has been read, exit
+  if (enough && enough(buffer)) {
+    updateKey(thisKey, "read enough, ending file read");
+    response.emit("end");
+    response.destroy("finished"); // this will trigger an "end" message
+  }
+}
+
+
+/*===============================================================================================================================
+ * This is a HACK that is required due to documented inconsistent behavior from http.get.  the issue is that if I either
+ * abort the process, or response.delete(), the resulting messages are inconsistent, leading to errors with callbacks (either
+ * calling the callback twice, or not calling it at all).  I put a safeguard in place that assures that no calback will be called
+ * more than once, and also used this key tracking system to identify the issue
+ *
+ * https://github.com/nodejs/node/issues/4233
+ */
+
+// global store for keys currently being processed
+var keyStore = {};
+// start processing for this key, throws an exception if the key already exists
+function enterKey(key) {
+  if (key in keyStore) {
+    throw "duplicate key in keystore: " + key;
+  }
+  keyStore[key] = "enter";
+}
+// update this key for debugging purposes
+function updateKey(key, status) {
+  if (key in keyStore) {
+    keyStore[key] = status;
+  } else {
+    throw "updating a non existent key:" + key;
+  }
+}
+// exit the key, a ONE time operation (usually now you call your callback).  Returns FALSE if
+// the key is NOT FOUND, meaning this was already called (and likely a callback already invoked)
+function exitKey(key, status) {
+  if (key in keyStore) {
+    delete keyStore[key];
+    return true;
+  } else {
+    return false; // indicates that key does not exist
+    //throw "exiting a non-existent key thread: " + key;
+  }
+}
+
+// debugging tool to see current state of keyStore, should always resolve to an empty object
+//setInterval(function() {console.log(keyStore);}, 5000);
+//===============================================================================================================================
+
+
+/*
+ * createCookieJar
+ *
+ * returns a new cookie jar for the jar option of requests (see request.jar)
+ */
+function createCookieJar() {
+  return request.jar();
+}
+
+/*
+ * createFixtureFetcher
+ *
+ * returns a fetcher which serves responses from an in-memory map instead of the network, for offline
+ * testing.  fixtures maps a url to either the body (a string or Buffer, served with a 200), or a
+ * response object {statusCode, headers, body, url}, where url (optional) is the url the body is served
+ * from, to stand in for a redirect.  A conditional request which matches the etag or last-modified header
+ * of the fixture is answered with a 304.  urls not in the map fail with an error
+ */
+function createFixtureFetcher(fixtures) {
+
+  return {
+    get: function(options, callback) {
+
+      var fixture = fixtures[options.url];
+
+      process.nextTick(function() {
+        if (fixture === undefined || fixture === null) {
+          callback(new errors.BestImageError(errors.CODES.NO_FIXTURE, "No fixture for: " + options.url, {url: options.url}), null);
+          return;
+        }
+        if (typeof fixture === "string" || Buffer.isBuffer(fixture)) {
+          fixture = {body: fixture};
+        }
+        callback(null, fixtureResponse(fixture, options));
+      });
+    }
+  };
+}
+
+// the response served for the fixture
+function fixtureResponse(fixture, options) {
+
+  var headers = fixture.headers || {};
+  var notModified = isNotModified(headers, options.headers || {});
+
+  return {
+    statusCode: notModified ? 304 : (fixture.statusCode || 200),
+    headers: headers,
+    body: notModified ? "" : fixtureBody(fixture.body, options.type),
+    url: fixture.url || options.url
+  };
+}
+
+// true if the conditional request headers match the validators of the fixture
+function isNotModified(headers, reqHeaders) {
+  return !!((headers.etag && headers.etag === reqHeaders["if-none-match"]) ||
+    (headers["last-modified"] && headers["last-modified"] === reqHeaders["if-modified-since"]));
+}
+
+// images are always Buffers, stylesheets, manifests and robots.txt strings, documents are served as given
+function fixtureBody(body, type) {
+  if (type === "image") {
+    return Buffer.isBuffer(body) ? body : Buffer.from(body || "");
+  }
+  return (Buffer.isBuffer(body) && type !== "document") ? body.toString() : body;
+}
+
+module.exports.init = init;
+module.exports.defaultFetcher = defaultFetcher;
+module.exports.createFixtureFetcher = createFixtureFetcher;
+module.exports.createCookieJar = createCookieJar;
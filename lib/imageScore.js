@@ -39,6 +39,10 @@ var DEPS = {
    title: optional title (alt text) for image
    class: class name of image tag
    isMeta: image was specified in meta tags (curated)
+   isStructured: image was specified in schema.org structured data (curated)
+   isVideo: image is the poster or thumbnail of a video
+   context: where the image is in the page {landmarks, order, position, depth, inLink} (see docImageParse)
+   caption, nearbyText: the <figcaption> and the nearby heading/paragraph text of the image (see docImageParse)
    docTitle: title of source document and/or query used to generate it
    dimensions: when sorting the image set based on size/dimensions (sizeScore=true) this will contain the dimensions if available
    score: <the calculated score>
@@ -66,6 +70,8 @@ var DEPS = {
 
 var SCORE_CONFIG = {
   isMeta: 10.0,        // curated in a meta tag such as og:image
+  isStructured: 8.0,   // curated in schema.org structured data (JSON-LD or microdata)
+  isVideo: 6.0,        // the poster or thumbnail of a video in the document
   isSVG: 0.5,          // is a data:image specification (vector)
   isJPG: 0.5,          // is a JPG file
   isGIF: 0.5,          // is a GIF file
@@ -73,12 +79,29 @@ var SCORE_CONFIG = {
   docTitleFactors: {
     imgTitle: 1,      // string similarity between image title if specified, and document title
     imgSrc: 1,        // string similarity between image url and document title
-    imgFname: 1      // string similarity between image filename and document title
+    imgFname: 1,     // string similarity between image filename and document title
+    caption: 2,       // string similarity between the <figcaption> of the image, and document title
+    nearbyText: 0.5   // best string similarity between the heading/paragraph text near the image, and document title
   },
   queryFactors: {
     imgTitle: 6,      // string similarity between image title if specified, and query
     imgSrc: 6,        // string similarity between image url and query
-    imgFname: 6      // string similarity between image filename and query
+    imgFname: 6,     // string similarity between image filename and query
+    caption: 6,       // string similarity between the <figcaption> of the image, and query
+    nearbyText: 2     // best string similarity between the heading/paragraph text near the image, and query
+  },
+  context: {              // where the image sits in the page (see docImageParse elementContext)
+    landmarks: {           // inside one of these landmark elements (or ARIA roles)
+      article: 1.0,
+      main: 1.0,
+      header: -1.0,
+      footer: -2.0,
+      nav: -2.0,
+      aside: -1.0
+    },
+    position: -0.5,        // times the position in the document (0 at the top, 1 at the bottom)
+    depth: 0,              // per level of nesting in the document
+    inLink: -0.5           // inside a link
   },
   goodWordMatch: 0.3,      // matched a good word
   badWordMatch: -2.0,      // matched a bad word
@@ -88,7 +111,10 @@ var SCORE_CONFIG = {
     idealHeight: 100,
     ratioWeight: 0.35,      // how much to negative factor differences in the aspect ratio
     smallerWeight: 7,    // how much negative factor if the image is smaller than ideal (surface area)
-    largerWeight: 0.25    // how much negative factor if the image is larger than ideal (surface area)
+    largerWeight: 0.25,   // how much negative factor if the image is larger than ideal (surface area)
+    minDeclaredWidth: 40,  // images declared (in the document) narrower than this are rejected before probing
+    minDeclaredHeight: 40,  // images declared shorter than this are rejected before probing
+    provisionalWeight: 0.1  // how much the declared size counts when ordering the probes (scores are between 0 and 1)
   },
   goodWords:    ["logo", "main"],
 
@@ -121,18 +147,42 @@ function setConfig (config) {
   SCORE_CONFIG = cpobj(config);
 }
 
+/*
+ * buildConfig
+ *
+ * returns a new, complete scoring config made from the overrides in config, with any missing
+ * keys taken from base (the current SCORE_CONFIG if not specified).  Neither config nor base are
+ * altered, so the result can be used for a single request without affecting any other
+ */
+function buildConfig (config, base) {
+  var ret = cpobj(config || {});
+
+  objKeyMatch(ret, base || SCORE_CONFIG);
+  return ret;
+}
+
+/*
+ * getDefaultConfig
+ *
+ * returns a copy of the default SCORE_CONFIG (without any setConfig overrides)
+ */
+function getDefaultConfig () {
+  return cpobj(DEFAULT_CONFIG);
+}
+
 /*
  * objKeyMatch
  *
  * Given an object, and a reference Object, this will alter the given object as
  * necessary to ensure it has all the fields that are provided in the reference object.
  * if the source object is missing a field, it is added with the value from the
- * reference object.  This is executed recursively (deep)
+ * reference object.  This is executed recursively (deep), except for arrays (word lists) which are
+ * taken as a whole
  */
 function objKeyMatch(obj, referenceObj) {
 
   for (var key in referenceObj) {
-    if (typeof(referenceObj[key]) === "object") {
+    if (typeof(referenceObj[key]) === "object" && !Array.isArray(referenceObj[key])) {
       if (exists(obj[key])) {
         objKeyMatch(obj[key], referenceObj[key]);
       } else {
@@ -194,21 +244,31 @@ function isArray(obj) {
    title: optional title (alt text) for image
    class: class name of image tag
    isMeta: image was specified in meta tags (curated)
+   isStructured: image was specified in schema.org structured data (curated)
+   isVideo: image is the poster or thumbnail of a video
+   context: where the image is in the page {landmarks, order, position, depth, inLink} (see docImageParse)
+   caption, nearbyText: the <figcaption> and the nearby heading/paragraph text of the image (see docImageParse)
    docTitle: title of source document and/or query used to generate it
   }
  *
+ * config is the scoring config to use for this request (see buildConfig), SCORE_CONFIG if not specified, and
+ * logr the logger of the request (the module logger if not specified)
+ *
  * Returns an array of strings (url's)
  *
  */
 
-function findBestImages (imgArray, scoreFn) {
+function findBestImages (imgArray, scoreFn, config, logr) {
 
   var ret;
 
+  config = config || SCORE_CONFIG;
+  logr = logr || LOGR;
+
   imgArray.forEach(function(obj) {
     obj.score = 0;
     if (isValidSrcTag(obj.src)) { 
-      obj.score = preferenceScore(obj);
+      obj.score = preferenceScore(obj, config);
     }
   });
 
@@ -223,7 +283,7 @@ function findBestImages (imgArray, scoreFn) {
   normalizeScores(imgArray);  
 
   if (scoreFn) {
-    console.log("CALLING SCORE FUNCTION NOW");
+    logr.debug("CALLING SCORE FUNCTION NOW");
 
     scoreFn(imgArray, DEPS, false);
     // resort the array (don't count on the caller to do this)
@@ -233,14 +293,44 @@ function findBestImages (imgArray, scoreFn) {
     normalizeScores(imgArray);
   }
 
-  ret = imgArray;
+  // rank by the declared sizes as well, so the images most likely to win are probed first
+  ret = preRankBySize(imgArray, config);
   
-  LOGR.debug("RESULTING IMAGE ARRAY =============================");
-  LOGR.debug(ret);
+  logr.debug("RESULTING IMAGE ARRAY =============================");
+  logr.debug(ret);
 
   return ret;
 }
 
+/*
+ * preRankBySize
+ *
+ * Before any image is probed, rejects the images declared (in the document, see obj.declared) smaller than
+ * config.size.minDeclaredWidth/Height, and sorts the rest by score plus a provisional size score computed
+ * from the declared size (obj.provisionalSizeScore, 0 if the size is not declared).  The provisional score is
+ * weighted by config.size.provisionalWeight, well below the spread of the (normalized) scores, so it only
+ * reorders images of comparable score, and a curated image which declares no size is not pushed out of the
+ * first block probed.  The scores themselves are unchanged, the size score of the loaded image is added after
+ * probing as before
+ */
+function preRankBySize(imgArray, config) {
+
+  var size = config.size;
+
+  imgArray = imgArray.filter(function(obj) {
+    var declared = obj.declared || {};
+
+    return !((exists(declared.width) && declared.width < size.minDeclaredWidth) ||
+      (exists(declared.height) && declared.height < size.minDeclaredHeight));
+  });
+  imgArray.forEach(function(obj) {
+    obj.provisionalSizeScore = hasSize(obj.declared) ? sizeScore({declared: obj.declared}, config) : 0;
+  });
+  return imgArray.sort(function(a, b) {
+    return (b.score + size.provisionalWeight * b.provisionalSizeScore) - (a.score + size.provisionalWeight * a.provisionalSizeScore);
+  });
+}
+
 /*
  * callSizingFunction
  * used to call the alternative sizing function
@@ -262,8 +352,10 @@ function callSizingFunction(scoreFn, newArray) {
  * normalizeScores
  *
  * Convert scores for this group of images to be between 0 and 1.  Scores are only relative to the
- * group provided (scores to not compare fairly across separate image groupings)
- */ 
+ * group provided (scores to not compare fairly across separate image groupings).  When no score is positive
+ * (possible with a request config of negative weights) the scores are shifted instead, so the largest is
+ * still 1 and the order is kept
+ */
 function normalizeScores(arr) {
   var max = -999999;
 
@@ -271,7 +363,7 @@ function normalizeScores(arr) {
     max = Math.max(max, item.score);
   });
   arr.forEach(function(item) {
-    item.score = item.score / max;
+    item.score = (max > 0) ? item.score / max : item.score - max + 1;
   });
 }
 
@@ -319,12 +411,15 @@ function isValidSrcTag(src) {
  * preferenceScore
  *
  * Scores all image results based on various characteristics and names.  Also does a string similarity test with the
- * given "docTitle" string.  The object passed in primarily is expected to have "src" and optional "title" and "class" attributes 
+ * given "docTitle" string.  The object passed in primarily is expected to have "src" and optional "title", "class", "id"
+ * and "selector" attributes
  * obj should also contain a "docTitle" property which is the query, or document title
  *
  */ 
 
-function preferenceScore(obj) {
+function preferenceScore(obj, config) {
+
+  config = config || SCORE_CONFIG;
 
   var imgUrl = obj.src,
     score = 0.0,
@@ -337,61 +432,123 @@ function preferenceScore(obj) {
     isSVG = true;
   } else {
     if (obj.docTitle) {
-      score += getTitleScore(obj, obj.docTitle, SCORE_CONFIG.docTitleFactors);
+      score += getTitleScore(obj, obj.docTitle, config.docTitleFactors);
       obj.titleScore = score;
     }
     if (obj.query) {
-      score += getTitleScore(obj, obj.query, SCORE_CONFIG.queryFactors);
+      score += getTitleScore(obj, obj.query, config.queryFactors);
       obj.queryScore = score - obj.titleScore;
     }
   }
 
-  if (obj.isMeta) {
-    score += SCORE_CONFIG.isMeta;
-  }
+  score += curatedScore(obj, config);
 
-  temp = score;
-  if (!isSVG) {
-    score += checkGoodWords(obj.src);
-  }
-  score += checkGoodWords(obj.class);
-  score += checkGoodWords(obj.title);
-  obj.goodWords = score-temp;
+  obj.goodWords = goodWordsScore(obj, isSVG, config);
+  score += obj.goodWords;
 
   temp = score;
   if (!isSVG) {
-    score += checkBadWords(obj.src);
+    score += checkBadWords(obj.src, config);
   }  
   obj.badWords = score-temp;
 
   temp = score;
-  score += checkFilenameBadWords(obj);
+  score += checkFilenameBadWords(obj, config);
   obj.badFnameWords = score-temp;
 
-  score += getExtensionScore(imgUrl);
+  score += getExtensionScore(imgUrl, config);
+
+  obj.contextScore = contextScore(obj, config);
+  score += obj.contextScore;
 
   return score;
 }
 
+/*
+ * goodWordsScore
+ *
+ * good words in the src (unless it is a data uri), class, title, and for background images the id of the
+ * element or the selector of the css rule
+ */
+function goodWordsScore(obj, isSVG, config) {
+
+  var score = 0;
+
+  if (!isSVG) {
+    score += checkGoodWords(obj.src, config);
+  }
+  [obj.class, obj.title, obj.id, obj.selector].forEach(function(text) {
+    score += checkGoodWords(text, config);
+  });
+  return score;
+}
+
+/*
+ * contextScore
+ *
+ * scores where the image sits in the page (obj.context, recorded by docImageParse for images found on an
+ * element) with the weights of config.context.  Images in the article or main content gain, those in the
+ * header, footer, navigation or sidebars lose
+ */
+function contextScore(obj, config) {
+
+  var weights = config.context;
+  var context = obj.context;
+  var score = 0;
+
+  if (!context || !weights) {
+    return 0;
+  }
+  (context.landmarks || []).forEach(function(landmark) {
+    score += weights.landmarks[landmark] || 0;
+  });
+  score += (context.position || 0) * weights.position;
+  score += (context.depth || 0) * weights.depth;
+  score += context.inLink ? weights.inLink : 0;
+
+  return score;
+}
+
+/*
+ * curatedScore
+ *
+ * images curated by the publisher (in meta tags or structured data), and those representing a video, get a boost
+ */
+function curatedScore(obj, config) {
+
+  var score = 0;
+
+  if (obj.isMeta) {
+    score += config.isMeta;
+  }
+  if (obj.isStructured) {
+    score += config.isStructured;
+  }
+  if (obj.isVideo) {
+    score += config.isVideo;
+  }
+  return score;
+}
+
 /*
  * getExtensionScore
  *
  */ 
 
-function getExtensionScore(imgUrl) {
+function getExtensionScore(imgUrl, config) {
 
   // Scores based on file type if applicable
   if (imgUrl.indexOf("data:image") === 0) {  
-    return SCORE_CONFIG.isSVG;
+    return config.isSVG;
   }
   if (hasExtension(imgUrl, ["ashx", "jpg", "jpeg"])) {
-    return SCORE_CONFIG.isJPG;
+    return config.isJPG;
   }
   if (hasExtension(imgUrl, ["gif"])) {
-    return SCORE_CONFIG.isGIF;
+    return config.isGIF;
   }
   if (hasExtension(imgUrl, ["png"])) {
-    return SCORE_CONFIG.isPNG;
+    return config.isPNG;
   }
   return 0;
 }  
@@ -429,23 +586,46 @@ function getTitleScore(obj, title, factors) {
   // tack on value for matches in the filename portion of the url
   addScore += factors.imgFname * DEPS.stringSimilarity.compareTwoStrings(fname, title);
 
+  // and for the text describing the image in the document (see docImageParse addSurroundingText)
+  addScore += surroundingTextScore(obj, title, factors);
+
   return addScore;
 }
 
+/*
+ * surroundingTextScore
+ *
+ * the similarity of the caption, and the best similarity of the nearby text, to the title (or query)
+ */
+function surroundingTextScore(obj, title, factors) {
+
+  var score = 0;
+
+  if (obj.caption) {
+    score += (factors.caption || 0) * DEPS.stringSimilarity.compareTwoStrings(obj.caption, title);
+  }
+  if (obj.nearbyText && obj.nearbyText.length > 0) {
+    score += (factors.nearbyText || 0) * Math.max.apply(null, obj.nearbyText.map(function(text) {
+      return DEPS.stringSimilarity.compareTwoStrings(text, title);
+    }));
+  }
+  return score;
+}
+
 /*
  * checkUrlGoodWords
  *
  * Looks for positive words in the URL that indicate it may make a good main image
  */ 
-function checkGoodWords(text) {
+function checkGoodWords(text, config) {
 
   // If contains a goodWord, bump the score
   if (!text) {return 0;}
 
-  if (SCORE_CONFIG.goodWords.some(function(word) {
+  if (config.goodWords.some(function(word) {
     return (text.toLowerCase().indexOf(word) >= 0);
   })) {
-    return SCORE_CONFIG.goodWordMatch;
+    return config.goodWordMatch;
   }
   return 0;
 }
@@ -456,12 +636,12 @@ function checkGoodWords(text) {
  * Looks for negative words in the URL that would indicate this is a BAD match for
  * a main image
  */ 
-function checkBadWords(text) {
+function checkBadWords(text, config) {
   // If contains a bad word, debit the score
-  if(SCORE_CONFIG.badWords.some(function(word) {
+  if(config.badWords.some(function(word) {
     return text.toLowerCase().indexOf(word) >= 0;
   })) {
-    return SCORE_CONFIG.badWordMatch;
+    return config.badWordMatch;
   }
   return 0;
 }
@@ -472,15 +652,15 @@ function checkBadWords(text) {
  * Looks for negative words specifically in the filename portion of the URL to look for
  * key indicators of images that will make a bad fit for the main image
  */ 
-function checkFilenameBadWords(obj) {
+function checkFilenameBadWords(obj, config) {
   var imgUrl = obj.src;
 
   // If the trailing filename has a bad filename word, debit significantly
-  if(SCORE_CONFIG.badFilenames.some(function(word) {
+  if(config.badFilenames.some(function(word) {
     var fn = imgUrl.slice(imgUrl.lastIndexOf("/"));
     return fn.toLowerCase().indexOf(word) >= 0;
   })) {
-    return SCORE_CONFIG.badWordMatchFname;
+    return config.badWordMatchFname;
   }
   return 0;
 }
@@ -508,11 +688,14 @@ function hasExtension(file, extArray) {
 /*
  * consolidateAndSizeRank
  *
+ * config and logr as for findBestImages
  */ 
-function consolidateAndSizeRank(imgArray) {
+function consolidateAndSizeRank(imgArray, config, logr) {
+
+  config = config || SCORE_CONFIG;
 
-  console.log("SIZE SCORE");
-  console.log(SCORE_CONFIG.size);
+  (logr || LOGR).debug("SIZE SCORE");
+  (logr || LOGR).debug(config.size);
 
   // consolidate, remove nulls
   var newArray = [];
@@ -523,7 +706,7 @@ function consolidateAndSizeRank(imgArray) {
   });
   // rank by size
   newArray.forEach(function(imgObj) {
-    imgObj.sizeScore = sizeScore(imgObj);
+    imgObj.sizeScore = sizeScore(imgObj, config);
   });
   return newArray;
 }
@@ -531,29 +714,34 @@ function consolidateAndSizeRank(imgArray) {
 /*
  * sizeScore
  *
+ * uses the dimensions of the loaded image, or if those could not be determined, the dimensions
+ * declared in the document (imgObj.declared) if any
  */ 
 // return a value that indicates the "goodness" of the image size
-function sizeScore(imgObj) {
+function sizeScore(imgObj, config) {
+
+  var dimensions = hasSize(imgObj.dimensions) ? imgObj.dimensions : imgObj.declared;
 
-  if (!imgObj.dimensions || !imgObj.dimensions.width || !imgObj.dimensions.height) { return 0; }
+  if (!hasSize(dimensions)) { return 0; }
 
-  var x = imgObj.dimensions.width;
-  var y = imgObj.dimensions.height;
-  var idealRatio = SCORE_CONFIG.size.idealWidth/SCORE_CONFIG.size.idealHeight;
+  var size = (config || SCORE_CONFIG).size;
+  var x = dimensions.width;
+  var y = dimensions.height;
+  var idealRatio = size.idealWidth/size.idealHeight;
 
   var ratio = x/(y + 0.001);
-  var rdiff = Math.abs(idealRatio - ratio) * SCORE_CONFIG.size.ratioWeight;
+  var rdiff = Math.abs(idealRatio - ratio) * size.ratioWeight;
 
   var surfaceArea = x * y;
-  var sdiff = (surfaceArea - (SCORE_CONFIG.size.idealWidth * SCORE_CONFIG.size.idealHeight));
+  var sdiff = (surfaceArea - (size.idealWidth * size.idealHeight));
 
   imgObj.sdiffRaw = sdiff;
   imgObj.surfaceArea = surfaceArea;
 
   if (sdiff > 0) {
-    sdiff = Math.log(Math.abs(sdiff)) * 0.01 * SCORE_CONFIG.size.largerWeight;
+    sdiff = Math.log(Math.abs(sdiff)) * 0.01 * size.largerWeight;
   } else if (sdiff < 0) {
-    sdiff = Math.log(Math.abs(sdiff)) * 0.01 * SCORE_CONFIG.size.smallerWeight;
+    sdiff = Math.log(Math.abs(sdiff)) * 0.01 * size.smallerWeight;
   }
 
   imgObj.rdiff = rdiff;
@@ -564,6 +752,10 @@ function sizeScore(imgObj) {
   return (1-(rdiff + sdiff));
 }
 
+function hasSize(dimensions) {
+  return !!(dimensions && dimensions.width && dimensions.height);
+}
+
 
   
 if (process.env.NODE_ENV === "test") {
@@ -577,6 +769,8 @@ if (process.env.NODE_ENV === "test") {
 }
 module.exports.callSizingFunction = callSizingFunction;
 module.exports.setConfig = setConfig;
+module.exports.buildConfig = buildConfig;
+module.exports.getDefaultConfig = getDefaultConfig;
 module.exports.findBestImages = findBestImages;
 module.exports.consolidateAndSizeRank = consolidateAndSizeRank;
 module.exports.normalizeScores = normalizeScores;
@@ -23,7 +23,27 @@ function init(pinfo, pwarn, perror, pdebug) {
   debug = pdebug || debug;
 }
 
+/*
+ * create
+ *
+ * returns a separate logger with the same interface as this module, for callers (such as a BestImage
+ * instance) which need their own log functions.  loggers is an object with optional info, warn, error
+ * and debug functions, any not specified use the defaults
+ */
+function create(loggers) {
+
+  loggers = loggers || {};
+
+  return {
+    info: loggers.info || nullFn,
+    warn: loggers.warn || nullFn,
+    error: loggers.error || console.log,
+    debug: loggers.debug || nullFn
+  };
+}
+
 module.exports.init = init;
+module.exports.create = create;
 module.exports.warn = function(t) { warn(t); };
 module.exports.info = function(t) { info(t); };
 module.exports.error = function(t) { error(t); };
@@ -0,0 +1,141 @@
+"use strict";
+
+/*
+ * probeCache.js
+ *
+ * Caches for the results of image probes (see checkImageUrl), so the same image is not downloaded again each time
+ * it is seen, across lookups, batch runs, and (with the file cache) restarts.  A cache is an object with two functions:
+ *
+ * get(key, callback(err, value))       calls back with the value stored for the key, or null if there is none (or
+ *                                      it has expired)
+ * set(key, value, ttl, callback(err))  stores the value for ttl milliseconds.  value is a plain, JSON serializable object
+ *
+ * so you may provide your own (e.g. backed by redis or memcached)
+ *
+ */
+
+var crypto = require("crypto");
+var fs = require("fs");
+var path = require("path");
+var LOGR = require("./../lib/logr.js");
+
+var DEFAULT_MAX_ENTRIES = 10000;
+
+/*
+ * createMemoryCache
+ *
+ * returns an in-memory cache which holds up to options.maxEntries values (10000 by default), and evicts the
+ * least recently used value when full
+ */
+function createMemoryCache(options) {
+
+  var maxEntries = (options && options.maxEntries) || DEFAULT_MAX_ENTRIES;
+  // keys are kept in the order they were last used (objects enumerate string keys in insertion order),
+  // so the first key is the least recently used
+  var entries = Object.create(null);
+  var count = 0;
+
+  var remove = function(key) {
+    delete entries[key];
+    count--;
+  };
+
+  return {
+    get: function(key, callback) {
+      var entry = entries[key];
+
+      if (entry) {
+        remove(key);
+        if (entry.expires > Date.now()) {
+          entries[key] = entry;
+          count++;
+        } else {
+          entry = null;
+        }
+      }
+      process.nextTick(callback, null, entry ? entry.value : null);
+    },
+
+    set: function(key, value, ttl, callback) {
+      if (entries[key]) {
+        remove(key);
+      }
+      entries[key] = {value: value, expires: Date.now() + ttl};
+      count++;
+      for (var oldest in entries) {
+        if (count <= maxEntries) {
+          break;
+        }
+        remove(oldest);
+      }
+      if (callback) {
+        process.nextTick(callback, null);
+      }
+    }
+  };
+}
+
+/*
+ * createFileCache
+ *
+ * returns a cache which keeps each value as a json file in options.directory (created if it does not exist), so
+ * the values outlive the process.  Expired files are removed when they are next read
+ */
+function createFileCache(options) {
+
+  var directory = options.directory;
+
+  var fileFor = function(key) {
+    return path.join(directory, crypto.createHash("sha1").update(key).digest("hex") + ".json");
+  };
+
+  return {
+    get: function(key, callback) {
+      var file = fileFor(key);
+
+      fs.readFile(file, "utf8", function(err, text) {
+        var entry = err ? null : parseEntry(text);
+
+        if (entry && entry.expires <= Date.now()) {
+          fs.unlink(file, function() {});
+          entry = null;
+        }
+        callback(null, entry ? entry.value : null);
+      });
+    },
+
+    set: function(key, value, ttl, callback) {
+      var file = fileFor(key);
+      // written to a temporary file first, so a reader never sees a partial file
+      var tmpFile = file + "." + process.pid + "." + crypto.randomBytes(4).toString("hex");
+
+      callback = callback || function() {};
+      fs.mkdir(directory, {recursive: true}, function() {
+        fs.writeFile(tmpFile, JSON.stringify({key: key, value: value, expires: Date.now() + ttl}), function(err) {
+          if (err) {
+            LOGR.debug("Error writing probe cache: " + file + " - " + err);
+            callback(err);
+            return;
+          }
+          fs.rename(tmpFile, file, callback);
+        });
+      });
+    }
+  };
+}
+
+// the contents of a cache file, or null if it cannot be read
+function parseEntry(text) {
+  try {
+    return JSON.parse(text);
+  } catch(e) {
+    return null;
+  }
+}
+
+// the cache used when none is given, shared by all lookups in the process
+var defaultCache = createMemoryCache();
+
+module.exports.createMemoryCache = createMemoryCache;
+module.exports.createFileCache = createFileCache;
+module.exports.defaultCache = defaultCache;
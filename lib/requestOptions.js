@@ -0,0 +1,98 @@
+"use strict";
+
+/*
+ * requestOptions.js
+ *
+ * Adds the configured request headers (user agent, extra headers and Referer) and cookie jar to the requests of a
+ * lookup.  Some sites serve stripped pages or errors to unknown agents, and some images are only served with a
+ * Referer from the site.  settings (see best-image.js setRequestOptions) are:
+ *
+ * {
+   userAgent: the User-Agent header sent with every request (optional)
+   headers: extra headers sent with every request, e.g. {"accept-language": "en"} (optional)
+   jar: a cookie jar which keeps the cookies set by responses and sends them with later requests (optional,
+        see fetcher.js createCookieJar)
+   referer: if true, image probes send the url of the document as the Referer (optional, false by default)
+   hosts: overrides of userAgent, headers and referer by host, e.g. {"cdn.site.com": {referer: true}}.  The
+          overrides for a domain (e.g. "site.com") also apply to its subdomains, the most specific applies (optional)
+ * }
+ *
+ */
+
+var url = require("url");
+var _ = require("underscore");
+
+/*
+ * wrap
+ *
+ * returns a fetcher which adds the headers and cookie jar to each request before making it with baseFetcher.
+ * documentUrl() returns the url of the document of the lookup, for the Referer
+ */
+function wrap(baseFetcher, settings, documentUrl) {
+
+  return {
+    get: function(options, callback) {
+      baseFetcher.get(_.extend({}, options, {
+        headers: headersFor(settings, options, documentUrl()),
+        jar: options.jar || settings.jar
+      }), callback);
+    }
+  };
+}
+
+/*
+ * headersFor
+ *
+ * the headers for a request with the given fetcher options, where documentUrl is the url of the document
+ * of the lookup.  Headers set on the request itself (e.g. for conditional requests) take precedence
+ */
+function headersFor(settings, options, documentUrl) {
+
+  var host = hostSettings(settings, options.url);
+  var userAgent = host.userAgent || settings.userAgent;
+  var referer = (host.referer === undefined) ? settings.referer : host.referer;
+  var headers = _.extend({}, lowerCaseNames(settings.headers), lowerCaseNames(host.headers));
+
+  if (userAgent) {
+    headers["user-agent"] = userAgent;
+  }
+  if (referer && options.type === "image" && documentUrl) {
+    headers.referer = documentUrl;
+  }
+  return _.extend(headers, options.headers);
+}
+
+/*
+ * hostSettings
+ *
+ * the overrides for the host of requestUrl, from the most specific entry of settings.hosts which matches
+ * the host or one of its parent domains
+ */
+function hostSettings(settings, requestUrl) {
+
+  var labels = (url.parse(requestUrl || "").hostname || "").toLowerCase().split(".");
+  var hosts = settings.hosts || {};
+
+  for (var i = 0; i < labels.length; i++) {
+    if (hosts[labels.slice(i).join(".")]) {
+      return hosts[labels.slice(i).join(".")];
+    }
+  }
+  return {};
+}
+
+function lowerCaseNames(headers) {
+
+  var lower = {};
+
+  _.each(headers || {}, function(value, name) {
+    lower[name.toLowerCase()] = value;
+  });
+  return lower;
+}
+
+if (process.env.NODE_ENV === "test") {
+  module.exports.headersFor = headersFor;
+}
+
+module.exports.wrap = wrap;
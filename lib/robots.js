@@ -0,0 +1,224 @@
+"use strict";
+
+/*
+ * robots.js
+ *
+ * Optional robots.txt compliance.  When it is turned on (see best-image.js setRobots), every request of a lookup is
+ * checked against the robots.txt of its host before it is made, and requests the robots.txt disallows for our
+ * user-agent token are not made.  robots.txt is retrieved through the fetcher (with type "robots") once per host,
+ * and cached.  Rules are evaluated as in RFC 9309: the group for our user-agent token (or else the * group)
+ * applies, the longest matching rule wins, and Allow wins a tie
+ *
+ */
+
+var url = require("url");
+var errors = require("./errors.js");
+var probeCache = require("./probeCache.js");
+var LOGR = require("./../lib/logr.js");
+
+var DISALLOWED = "Disallowed by robots.txt";
+var ROBOTS_TTL = 24 * 60 * 60 * 1000;  // as RFC 9309 suggests
+var UNREACHABLE_TTL = 5 * 60 * 1000;  // retry a robots.txt which could not be retrieved sooner
+var ROBOTS_TIMEOUT = 5000;
+
+// robots.txt of each host being retrieved, so concurrent requests to the host wait for the same one (see
+// settings.inFlight)
+var pendingRobots = {};
+// the cache used when none is given, shared by the process (see settings.store)
+var defaultCache = createCache();
+
+/*
+ * wrap
+ *
+ * returns a fetcher which checks each request against robots.txt before making it with baseFetcher.  A request which
+ * is disallowed calls back with an error with code DISALLOWED (see errors.js), and is reported to onSkip(url, type,
+ * reason).  settings are:
+ *
+ * {
+   userAgent: the user-agent token to find the rules for in robots.txt (e.g. "BestImageBot")
+   store: the cache for robots.txt rules, with the interface of probeCache.js (optional, in-memory and shared by
+          the process by default)
+   ttl: the milliseconds robots.txt is cached (optional, 24 hours by default).  A ttl of 0 does not cache
+   inFlight: the robots.txt being retrieved by url, an object which the fetchers sharing it fill in (optional,
+             shared by the process by default).  Fetchers with different base fetchers should not share it, nor a
+             store, since they may get different answers for the same robots.txt
+ * }
+ */
+function wrap(baseFetcher, settings, onSkip) {
+
+  return {
+    get: function(options, callback) {
+      rulesFor(baseFetcher, settings, options, function(rules) {
+        if (isAllowed(rules, settings.userAgent, options.url)) {
+          baseFetcher.get(options, callback);
+          return;
+        }
+        (options.logr || LOGR).debug(DISALLOWED + ": " + options.url);
+        if (onSkip) {
+          onSkip(options.url, options.type, DISALLOWED);
+        }
+        callback(new errors.BestImageError(errors.CODES.DISALLOWED, DISALLOWED + ": " + options.url, {url: options.url}), null);
+      });
+    }
+  };
+}
+
+/*
+ * createCache
+ *
+ * returns a new in-memory cache for robots.txt rules, to use as the store of the settings (see wrap)
+ */
+function createCache() {
+  return probeCache.createMemoryCache({maxEntries: 1000});
+}
+
+/*
+ * rulesFor
+ *
+ * calls back with the parsed robots.txt (see parseRobots) for the host of the request, from the cache if it is there
+ */
+function rulesFor(baseFetcher, settings, options, callback) {
+
+  var robotsUrl = url.resolve(options.url, "/robots.txt");
+  var store = settings.store || defaultCache;
+  var inFlight = settings.inFlight || pendingRobots;
+
+  store.get("robots:" + robotsUrl, function(err, cached) {
+    if (cached) {
+      callback(cached);
+      return;
+    }
+    if (inFlight[robotsUrl]) {
+      inFlight[robotsUrl].push(callback);
+      return;
+    }
+    inFlight[robotsUrl] = [callback];
+    loadRobots(baseFetcher, robotsUrl, options.logr || LOGR, function(rules, reachable) {
+      var waiting = inFlight[robotsUrl];
+      var ttl = (settings.ttl === undefined) ? ROBOTS_TTL : settings.ttl;
+
+      delete inFlight[robotsUrl];
+      if (ttl > 0) {
+        store.set("robots:" + robotsUrl, rules, reachable ? ttl : Math.min(ttl, UNREACHABLE_TTL), function() {});
+      }
+      waiting.forEach(function(cb) { cb(rules); });
+    });
+  });
+}
+
+/*
+ * loadRobots
+ *
+ * retrieves and parses robots.txt, calls back with the rules and whether it could be retrieved.  As RFC 9309
+ * prescribes, a robots.txt which does not exist (4xx) allows everything, and one which cannot be retrieved (5xx or
+ * an error) disallows everything.  It is shared by every lookup, so it is not aborted with the lookup which asked
+ * (it is logged with the logger of that lookup)
+ */
+function loadRobots(baseFetcher, robotsUrl, logr, callback) {
+
+  baseFetcher.get({url: robotsUrl, type: "robots", timeout: ROBOTS_TIMEOUT, logr: logr}, function(err, response) {
+
+    if (err || response.statusCode >= 500) {
+      logr.debug("Could not retrieve " + robotsUrl + " - " + (err || response.statusCode));
+      callback({groups: [{agents: ["*"], rules: [{allow: false, path: "/"}]}]}, false);
+    } else if (response.statusCode >= 400) {
+      callback({groups: []}, true);
+    } else {
+      callback(parseRobots(String(response.body || "")), true);
+    }
+  });
+}
+
+/*
+ * parseRobots
+ *
+ * parses the text of a robots.txt into {groups: [{agents, rules: [{allow, path}]}]}, agents in lower case
+ */
+function parseRobots(text) {
+
+  var groups = [];
+  var group = null;
+  // true once the group has a rule line, so a user-agent line which follows starts a new group
+  var inRules = false;
+
+  text.split(/\r\n|\r|\n/).forEach(function(line) {
+    var match = /^\s*([\w-]+)\s*:\s*(.*?)\s*$/.exec(line.replace(/#.*/, ""));
+    var field = match ? match[1].toLowerCase() : null;
+
+    if (field === "user-agent") {
+      // consecutive user-agent lines start one group
+      if (!group || inRules) {
+        group = {agents: [], rules: []};
+        groups.push(group);
+        inRules = false;
+      }
+      group.agents.push(match[2].toLowerCase());
+    } else if (group && (field === "allow" || field === "disallow")) {
+      inRules = true;
+      // an empty Disallow allows everything, so it is not a rule
+      if (match[2]) {
+        group.rules.push({allow: field === "allow", path: match[2]});
+      }
+    }
+  });
+  return {groups: groups};
+}
+
+/*
+ * isAllowed
+ *
+ * true if the parsed robots.txt allows userAgent to retrieve requestUrl
+ */
+function isAllowed(robots, userAgent, requestUrl) {
+
+  var urlObj = url.parse(requestUrl);
+  var target = urlObj.path || "/";
+  var best = null;
+
+  if (urlObj.pathname === "/robots.txt") {
+    return true;
+  }
+  groupRules(robots, userAgent).forEach(function(rule) {
+    if (pathMatches(rule.path, target) &&
+      (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow))) {
+      best = rule;
+    }
+  });
+  return !best || best.allow;
+}
+
+// the rules of every group for the user-agent token, or if there are none the rules of the * groups
+function groupRules(robots, userAgent) {
+
+  var groupsFor = function(agent) {
+    return robots.groups.filter(function(group) { return group.agents.indexOf(agent) >= 0; });
+  };
+  var groups = groupsFor((userAgent || "").toLowerCase());
+
+  if (groups.length === 0) {
+    groups = groupsFor("*");
+  }
+  return groups.reduce(function(rules, group) { return rules.concat(group.rules); }, []);
+}
+
+// true if the path of a rule matches the target, * matches any characters and a trailing $ anchors the end
+function pathMatches(rulePath, target) {
+
+  var pattern = rulePath.split("*").map(function(part) {
+    return part.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+  }).join(".*");
+
+  if (/\\\$$/.test(pattern)) {
+    pattern = pattern.slice(0, -2) + "$";
+  }
+  return new RegExp("^" + pattern).test(target);
+}
+
+if (process.env.NODE_ENV === "test") {
+  module.exports.parseRobots = parseRobots;
+  module.exports.isAllowed = isAllowed;
+}
+
+module.exports.DISALLOWED = DISALLOWED;
+module.exports.wrap = wrap;
+module.exports.createCache = createCache;
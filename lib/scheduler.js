@@ -0,0 +1,190 @@
+"use strict";
+
+/*
+ * scheduler.js
+ *
+ * Limits the outbound requests (documents, stylesheets and image probes) made by lookups, so a busy process does
+ * not open hundreds of sockets to the same host.  A scheduler has a cap on the requests in flight overall, a cap
+ * on those in flight to any one host, and optionally a minimum delay between the start of requests to the same
+ * host.  Requests over the limits wait, and are started in the order they were made (a waiting request whose
+ * options.signal is aborted is dropped at once).  A scheduler is shared by every lookup which uses it, the module
+ * uses a default one (see best-image.js setScheduler)
+ *
+ */
+
+var url = require("url");
+var errors = require("./errors.js");
+
+var DEFAULT_MAX_CONCURRENT = 50;
+var DEFAULT_MAX_PER_HOST = 6;  // as browsers do
+
+/*
+ * createScheduler
+ *
+ * options:
+ * {
+   maxConcurrent: the most requests in flight at once (50 by default)
+   maxPerHost: the most requests in flight at once to a single host (6 by default)
+   hostDelay: the fewest milliseconds between the start of two requests to the same host (0 by default)
+ * }
+ *
+ * returns the scheduler, whose wrap(fetcher) returns a fetcher which makes its requests through the scheduler
+ */
+function createScheduler(options) {
+
+  options = options || {};
+
+  var limits = {
+    maxConcurrent: options.maxConcurrent || DEFAULT_MAX_CONCURRENT,
+    maxPerHost: options.maxPerHost || DEFAULT_MAX_PER_HOST,
+    hostDelay: options.hostDelay || 0
+  };
+  var state = {
+    waiting: [],
+    active: 0,
+    activeByHost: {},
+    lastStartByHost: {},
+    timer: null
+  };
+
+  return {
+    wrap: function(baseFetcher) {
+      return {
+        get: function(fetchOptions, callback) {
+          var request = {host: hostOf(fetchOptions.url), fetcher: baseFetcher, options: fetchOptions, callback: callback};
+
+          state.waiting.push(request);
+          request.stopListening = dropWhenAborted(state, request);
+          startWaiting(state, limits);
+        }
+      };
+    }
+  };
+}
+
+/*
+ * startWaiting
+ *
+ * starts every waiting request which is within the limits.  If some are only held back by the host delay, a timer
+ * is set to try again when the first of them may start
+ */
+function startWaiting(state, limits) {
+
+  var now = Date.now();
+  var retryIn = null;
+  var i = 0;
+  var wait;
+
+  while (i < state.waiting.length && state.active < limits.maxConcurrent) {
+    wait = hostWait(state, limits, state.waiting[i].host, now);
+    if (wait === 0) {
+      start(state, limits, state.waiting.splice(i, 1)[0]);
+    } else {
+      if (wait > 0) {
+        retryIn = (retryIn === null) ? wait : Math.min(retryIn, wait);
+      }
+      i++;
+    }
+  }
+  if (retryIn !== null && !state.timer) {
+    state.timer = setTimeout(function() {
+      state.timer = null;
+      startWaiting(state, limits);
+    }, retryIn);
+  }
+}
+
+/*
+ * hostWait
+ *
+ * returns 0 if a request to the host may start now, the milliseconds until it may start if it is held back by
+ * the host delay, or -1 if the host is at its cap (it may start when one of its requests completes)
+ */
+function hostWait(state, limits, host, now) {
+
+  var last = state.lastStartByHost[host];
+
+  if ((state.activeByHost[host] || 0) >= limits.maxPerHost) {
+    return -1;
+  }
+  if (last !== undefined && now - last < limits.hostDelay) {
+    return limits.hostDelay - (now - last);
+  }
+  return 0;
+}
+
+/*
+ * dropWhenAborted
+ *
+ * when the signal of the waiting request is aborted, removes it from the waiting requests and calls it back with an
+ * ABORTED error, so it does not wait for a slot it will not use.  Returns a function which stops listening
+ */
+function dropWhenAborted(state, request) {
+
+  var signal = request.options.signal;
+  var aborted = function() {
+    var index = state.waiting.indexOf(request);
+
+    if (index >= 0) {
+      state.waiting.splice(index, 1);
+      request.callback(errors.aborted(request.options.url), null);
+    }
+  };
+
+  if (!signal) {
+    return function() {};
+  }
+  signal.addEventListener("abort", aborted);
+  return function() {
+    signal.removeEventListener("abort", aborted);
+  };
+}
+
+function start(state, limits, request) {
+
+  var completed = false;
+  var startedAt = Date.now();
+
+  request.stopListening();
+  // a request whose lookup was aborted while it waited is not made
+  if (request.options.signal && request.options.signal.aborted) {
+    request.callback(errors.aborted(request.options.url), null);
+    return;
+  }
+
+  state.active++;
+  state.activeByHost[request.host] = (state.activeByHost[request.host] || 0) + 1;
+  if (limits.hostDelay > 0) {
+    state.lastStartByHost[request.host] = startedAt;
+    // forget the host once the delay has passed, so hosts seen once do not accumulate
+    setTimeout(function() {
+      if (state.lastStartByHost[request.host] === startedAt) {
+        delete state.lastStartByHost[request.host];
+      }
+    }, limits.hostDelay).unref();
+  }
+
+  request.fetcher.get(request.options, function(err, response) {
+    // a fetcher which calls back more than once must not free its slot twice
+    if (completed) {
+      return;
+    }
+    completed = true;
+    state.active--;
+    if (--state.activeByHost[request.host] === 0) {
+      delete state.activeByHost[request.host];
+    }
+    startWaiting(state, limits);
+    request.callback(err, response);
+  });
+}
+
+function hostOf(requestUrl) {
+  return (url.parse(requestUrl || "").host || "").toLowerCase();
+}
+
+// the scheduler used when none is given, shared by all lookups in the process
+var defaultScheduler = createScheduler();
+
+module.exports.createScheduler = createScheduler;
+module.exports.defaultScheduler = defaultScheduler;
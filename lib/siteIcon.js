@@ -0,0 +1,184 @@
+"use strict";
+
+/*
+ * siteIcon.js
+ *
+ * Finds the icon (or logo) of a site, used as a fallback when a document has no content image which
+ * qualifies.  The candidates are the apple-touch-icon and icon links (with their declared sizes), the icons
+ * of the web app manifest, the msapplication-TileImage, and /favicon.ico.  The largest one that loads wins
+ *
+ */
+
+var async = require("async");
+var cheerio = require("cheerio");
+var checkImageUrl = require("./checkImageUrl.js");
+var docImageParse = require("./docImageParse.js");
+var errors = require("./errors.js");
+var fetcher = require("./fetcher.js");
+var _ = require("underscore");
+var LOGR = require("./../lib/logr.js");
+
+// link rel values which name an icon of the site (mask-icon is left out, it is a monochrome mask)
+var ICON_RELS = ["apple-touch-icon", "apple-touch-icon-precomposed", "icon"];
+// apple-touch-icons without sizes are expected to be this size
+var APPLE_TOUCH_ICON_SIZE = 180;
+
+/*
+ * findSiteIcon
+ *
+ * finds the largest icon of the site for the document at fullUrl (with the given html), and calls back
+ * with {src, dimensions, declared} where dimensions are those of the loaded icon, and declared those given
+ * in the document.  Calls back with an error if no icon loads.  options may specify the fetcher, the
+ * cache and probes in flight for the icon probes (see checkImageUrl), the signal which aborts the requests,
+ * and the logger
+ */
+function findSiteIcon(fullUrl, html, options, callback) {
+
+  var iconFetcher = options.fetcher || fetcher.defaultFetcher;
+  var request = {fetcher: iconFetcher, signal: options.signal, logr: options.logr || LOGR};
+
+  getIconCandidates(fullUrl, html, request, function(err, icons) {
+
+    async.filter(icons, function(icon, async_cb) {
+      checkImageUrl.checkImageUrl(icon.src, _.extend({cache: options.cache, inFlight: options.inFlight}, request), function(err, dimensions) {
+        icon.dimensions = dimensions;
+        async_cb(null, !err);
+      });
+    }, function(err, loaded) {
+      if (loaded.length === 0) {
+        callback(new errors.BestImageError(errors.CODES.NO_SITE_ICON, "No site icon found", {url: fullUrl}), null);
+      } else {
+        callback(null, _.max(loaded, iconArea));
+      }
+    });
+  });
+}
+
+/*
+ * getIconCandidates
+ *
+ * calls back with all the icons declared for the document as {src, declared}, the manifest icons
+ * included.  /favicon.ico is always a candidate.  options are the fetcher for the manifest, the
+ * signal which aborts it, and the logger (optional)
+ */
+function getIconCandidates(fullUrl, html, options, callback) {
+
+  // links resolve against the base of the document, the favicon against its location
+  var baseUrl = docImageParse.documentBase(fullUrl, html);
+  var icons = linkIcons(baseUrl, html);
+  var manifest = cheerio(html).find("link[rel='manifest']").attr("href");
+
+  icons.push({src: checkImageUrl.resolveRelativeUrl(fullUrl, "/favicon.ico"), declared: null});
+
+  if (!manifest) {
+    callback(null, uniqueIcons(icons));
+    return;
+  }
+  manifestIcons(checkImageUrl.resolveRelativeUrl(baseUrl, manifest), options, function(err, appIcons) {
+    callback(null, uniqueIcons(icons.concat(appIcons)));
+  });
+}
+
+/*
+ * linkIcons
+ *
+ * gets the icons from the <link> tags and the msapplication-TileImage meta tag of the document
+ */
+function linkIcons(baseUrl, html) {
+
+  var icons = [];
+
+  cheerio(html).find("link[rel][href]").each(function() {
+    var rels = this.attribs.rel.toLowerCase().split(/\s+/);
+    var isAppleIcon = rels.indexOf("apple-touch-icon") >= 0 || rels.indexOf("apple-touch-icon-precomposed") >= 0;
+
+    if (_.intersection(rels, ICON_RELS).length > 0) {
+      icons.push({
+        src: checkImageUrl.resolveRelativeUrl(baseUrl, this.attribs.href),
+        declared: parseSizes(this.attribs.sizes) || (isAppleIcon ? {width: APPLE_TOUCH_ICON_SIZE, height: APPLE_TOUCH_ICON_SIZE} : null)
+      });
+    }
+  });
+  cheerio(html).find("meta[name='msapplication-TileImage'][content]").each(function() {
+    icons.push({src: checkImageUrl.resolveRelativeUrl(baseUrl, this.attribs.content), declared: null});
+  });
+  return icons;
+}
+
+/*
+ * manifestIcons
+ *
+ * loads the web app manifest, and calls back with its icons.  A manifest which fails to load or parse
+ * simply has no icons
+ */
+function manifestIcons(manifestUrl, options, callback) {
+
+  var logr = options.logr || LOGR;
+
+  options.fetcher.get({url: manifestUrl, type: "manifest", signal: options.signal, logr: logr}, function(error, response) {
+
+    var manifest;
+
+    if (error || response.statusCode !== 200) {
+      logr.debug("Error loading manifest: " + manifestUrl + " - " + error);
+      callback(null, []);
+      return;
+    }
+    try {
+      manifest = JSON.parse(response.body);
+    } catch(e) {
+      logr.debug("Error parsing manifest: " + manifestUrl + " - " + e);
+      callback(null, []);
+      return;
+    }
+    callback(null, (_.isArray(manifest.icons) ? manifest.icons : []).filter(function(icon) {
+      return icon && typeof icon.src === "string";
+    }).map(function(icon) {
+      // icons are relative to the manifest, not the document
+      return {src: checkImageUrl.resolveRelativeUrl(response.url || manifestUrl, icon.src), declared: parseSizes(icon.sizes)};
+    }));
+  });
+}
+
+/*
+ * parseSizes
+ *
+ * returns the largest of the sizes in a sizes attribute (e.g. "16x16 32x32") as {width, height}, or null
+ * if none are given ("any" is used by scalable icons, which have no size of their own)
+ */
+function parseSizes(sizes) {
+
+  var best = null;
+
+  (sizes || "").toLowerCase().split(/\s+/).forEach(function(size) {
+    var match = /^(\d+)x(\d+)$/.exec(size);
+
+    if (match && (!best || match[1] * match[2] > best.width * best.height)) {
+      best = {width: parseInt(match[1], 10), height: parseInt(match[2], 10)};
+    }
+  });
+  return best;
+}
+
+// the area of the icon, from its loaded dimensions if they could be calculated, otherwise as declared
+function iconArea(icon) {
+
+  var dimensions = icon.dimensions;
+
+  if (!(dimensions && dimensions.width && dimensions.height && !dimensions.err)) {
+    dimensions = icon.declared;
+  }
+  return dimensions ? dimensions.width * dimensions.height : 0;
+}
+
+// removes repeated icons, keeping the first (which has its declared size)
+function uniqueIcons(icons) {
+  return _.uniq(icons, false, function(icon) { return icon.src; });
+}
+
+if (process.env.NODE_ENV === "test") {
+  module.exports.getIconCandidates = getIconCandidates;
+  module.exports.parseSizes = parseSizes;
+}
+
+module.exports.findSiteIcon = findSiteIcon;
@@ -0,0 +1,160 @@
+"use strict";
+
+/*
+ * srcset.js
+ *
+ * Parsing of responsive image attributes (srcset and sizes) used by <img> and <picture><source> tags, so the
+ * highest quality variant of an image can be chosen, and the declared width kept as a size hint for scoring
+ *
+ */
+
+// viewport width assumed when a "sizes" length is relative to the viewport (vw)
+var ASSUMED_VIEWPORT_WIDTH = 1280;
+// pixels per em/rem
+var ASSUMED_FONT_SIZE = 16;
+
+/*
+ * parseSrcset
+ *
+ * parses a srcset attribute into an array of candidates {url, width, density}.  width is set for a "w"
+ * descriptor, density for an "x" descriptor, and neither if there is no descriptor (which means 1x).
+ * Follows the parsing rules of the html spec, so urls which contain commas are handled
+ */
+function parseSrcset(srcset) {
+
+  var candidates = [];
+  var state = {text: srcset || "", pos: 0};
+  var candidate;
+
+  while (state.pos < state.text.length) {
+    candidate = readCandidate(state);
+    if (candidate) {
+      candidates.push(candidate);
+    }
+  }
+  return candidates;
+}
+
+/*
+ * readCandidate
+ *
+ * reads the next "url [descriptors]" candidate from the srcset, advancing state.pos
+ */
+function readCandidate(state) {
+
+  var descriptors = "";
+  var candidate;
+  var url;
+
+  // skip leading whitespace and commas
+  state.pos += /^[\s,]*/.exec(state.text.slice(state.pos))[0].length;
+  // the url is a run of non whitespace
+  url = /^\S*/.exec(state.text.slice(state.pos))[0];
+  state.pos += url.length;
+
+  // a url ending with a comma has no descriptors
+  if (/,$/.test(url)) {
+    url = url.replace(/,+$/, "");
+  } else {
+    descriptors = readDescriptors(state);
+  }
+  if (!url) {
+    return null;
+  }
+  candidate = {url: url};
+  descriptors.split(/\s+/).forEach(function(descriptor) {
+    if (/^\d+w$/.test(descriptor)) {
+      candidate.width = parseInt(descriptor, 10);
+    } else if (/^\d*\.?\d+x$/.test(descriptor)) {
+      candidate.density = parseFloat(descriptor);
+    }
+  });
+  return candidate;
+}
+
+/*
+ * readDescriptors
+ *
+ * reads the descriptors up to the next comma which is not inside parens, advancing state.pos
+ */
+function readDescriptors(state) {
+
+  var start = state.pos;
+  var depth = 0;
+  var c;
+
+  for (; state.pos < state.text.length; state.pos++) {
+    c = state.text.charAt(state.pos);
+    if (c === "," && depth === 0) {
+      break;
+    }
+    depth += (c === "(") ? 1 : ((c === ")") ? -1 : 0);
+  }
+  return state.text.slice(start, state.pos).trim();
+}
+
+/*
+ * parseSizes
+ *
+ * returns the largest slot width (in pixels) in a sizes attribute, e.g. "(max-width: 600px) 480px, 50vw",
+ * or 0 if none can be determined.  Since we cannot evaluate the media conditions, we assume the
+ * largest slot is the one that matters for choosing the highest quality image
+ */
+function parseSizes(sizes) {
+
+  var max = 0;
+
+  (sizes || "").split(",").forEach(function(entry) {
+    var length = /(\d*\.?\d+)(px|vw|r?em)\s*$/.exec(entry.trim());
+    var value;
+
+    if (length) {
+      value = parseFloat(length[1]);
+      if (length[2] === "vw") {
+        value = value * ASSUMED_VIEWPORT_WIDTH / 100;
+      } else if (length[2] !== "px") {
+        value = value * ASSUMED_FONT_SIZE;
+      }
+      max = Math.max(max, Math.round(value));
+    }
+  });
+  return max;
+}
+
+/*
+ * bestCandidate
+ *
+ * Given the attributes of an <img> or <source> tag, returns the highest quality candidate from its srcset
+ * as {url, width}, where width is the declared (or implied) width in pixels if known, or null if there is
+ * no srcset.  The src of an <img> is included as the 1x candidate when the srcset uses density descriptors
+ */
+function bestCandidate(attribs) {
+
+  var candidates = parseSrcset(attribs.srcset);
+  var slotWidth = parseSizes(attribs.sizes) || parseInt(attribs.width, 10) || 0;
+  var best = null;
+  var bestQuality = 0;
+
+  if (candidates.length === 0) {
+    return null;
+  }
+  if (attribs.src && !candidates.some(function(c) { return c.width; })) {
+    candidates.push({url: attribs.src, density: 1});
+  }
+  candidates.forEach(function(c) {
+    // width descriptors are already in pixels, densities are relative to the slot width
+    var quality = c.width || (c.density || 1) * (slotWidth || 1);
+    if (quality > bestQuality) {
+      bestQuality = quality;
+      best = c;
+    }
+  });
+  return {
+    url: best.url,
+    width: best.width || (slotWidth ? Math.round((best.density || 1) * slotWidth) : null)
+  };
+}
+
+module.exports.parseSrcset = parseSrcset;
+module.exports.parseSizes = parseSizes;
+module.exports.bestCandidate = bestCandidate;
@@ -0,0 +1,180 @@
+"use strict";
+
+/*
+ * structuredData.js
+ *
+ * Finds the images declared in the schema.org structured data of a document, either as JSON-LD
+ * (<script type="application/ld+json">) or as microdata (itemprop="image").  Publishers use these to
+ * curate the image of an Article, Product, Recipe etc, much like og:image
+ *
+ */
+
+var cheerio = require("cheerio");
+var _ = require("underscore");
+var LOGR = require("./../lib/logr.js");
+
+/*
+ * findImages
+ *
+ * returns the images in the structured data of the html, as an array of {url, width, height, caption, format}
+ * where width and height are the declared dimensions (null if not declared), and format is "jsonld" or "microdata".
+ * logr is the logger of the lookup (optional)
+ */
+function findImages(html, logr) {
+  return jsonLdImages(html, logr || LOGR).concat(microdataImages(html));
+}
+
+/*
+ * jsonLdImages
+ *
+ * gets the images from the "image" properties of every JSON-LD block, which may be a url, an ImageObject, a
+ * reference (@id) to an ImageObject elsewhere in the data, or an array of any of these
+ */
+function jsonLdImages(html, logr) {
+
+  var images = [];
+
+  cheerio(html).find("script[type='application/ld+json']").each(function() {
+    var data;
+    var ids = {};
+
+    try {
+      data = JSON.parse(cheerio(this).text());
+    } catch(e) {
+      logr.debug("Error parsing JSON-LD: " + e);
+      return;
+    }
+    collectIds(data, ids);
+    collectImageProperties(data, function(value) {
+      images = images.concat(imageValues(value, ids));
+    });
+  });
+  return images;
+}
+
+// maps each @id in the data to its node, so references can be followed
+function collectIds(node, ids) {
+  if (_.isArray(node)) {
+    node.forEach(function(item) { collectIds(item, ids); });
+  } else if (_.isObject(node)) {
+    if (typeof node["@id"] === "string" && _.keys(node).length > 1) {
+      ids[node["@id"]] = node;
+    }
+    _.values(node).forEach(function(value) { collectIds(value, ids); });
+  }
+}
+
+// calls found(value) with the value of each "image" property in the data
+function collectImageProperties(node, found) {
+  if (_.isArray(node)) {
+    node.forEach(function(item) { collectImageProperties(item, found); });
+  } else if (_.isObject(node)) {
+    _.keys(node).forEach(function(key) {
+      if (key === "image") {
+        found(node[key]);
+      } else {
+        collectImageProperties(node[key], found);
+      }
+    });
+  }
+}
+
+/*
+ * imageValues
+ *
+ * converts the value of an "image" property into an array of images
+ */
+function imageValues(value, ids) {
+
+  if (_.isArray(value)) {
+    return _.flatten(value.map(function(item) { return imageValues(item, ids); }), true);
+  }
+  if (typeof value === "string") {
+    return [{url: value, width: null, height: null, caption: null, format: "jsonld"}];
+  }
+  if (_.isObject(value)) {
+    return imageObjectValues(value, ids);
+  }
+  return [];
+}
+
+// an ImageObject, or a reference to one elsewhere in the data
+function imageObjectValues(value, ids) {
+
+  var url;
+
+  if (value["@id"] && !value.url && !value.contentUrl && ids[value["@id"]]) {
+    value = ids[value["@id"]];
+  }
+  url = value.contentUrl || value.url;
+  if (typeof url !== "string") {
+    return [];
+  }
+  return [{
+    url: url,
+    width: dimension(value.width),
+    height: dimension(value.height),
+    caption: value.caption || value.name || null,
+    format: "jsonld"
+  }];
+}
+
+/*
+ * microdataImages
+ *
+ * gets the images marked with itemprop="image", either directly on an <img>, <meta> or <link>, or
+ * as an ImageObject item with its own url/contentUrl, width and height properties
+ */
+function microdataImages(html) {
+
+  var images = [];
+
+  cheerio(html).find("[itemprop='image']").each(function() {
+    var item = cheerio(this);
+    var url = itemValue(item);
+
+    if (item.is("[itemscope]")) {
+      url = itemValue(item.find("[itemprop='contentUrl'], [itemprop='url']").first());
+    }
+    if (url) {
+      images.push({
+        url: url,
+        width: dimension(itemValue(item.find("[itemprop='width']").first())),
+        height: dimension(itemValue(item.find("[itemprop='height']").first())),
+        caption: item.attr("alt") || itemValue(item.find("[itemprop='caption']").first()) || null,
+        format: "microdata"
+      });
+    }
+  });
+  return images;
+}
+
+// the value of a microdata property, which is an attribute for some elements (see ITEM_VALUE_ATTRIBUTES)
+// and the text for others
+var ITEM_VALUE_ATTRIBUTES = {img: "src", source: "src", meta: "content", link: "href", a: "href"};
+
+function itemValue(item) {
+
+  var attribute;
+
+  if (item.length === 0) {
+    return null;
+  }
+  attribute = ITEM_VALUE_ATTRIBUTES[item.get(0).name];
+  return (attribute ? item.attr(attribute) : item.text().trim()) || null;
+}
+
+// a declared width or height in pixels, which may be a number, a string ("1200" or "1200px"), or a
+// QuantitativeValue ({value: 1200}).  null if not given
+function dimension(value) {
+
+  var pixels;
+
+  if (_.isObject(value)) {
+    value = value.value;
+  }
+  pixels = parseInt(value, 10);
+  return (pixels > 0) ? pixels : null;
+}
+
+module.exports.findImages = findImages;
@@ -0,0 +1,100 @@
+"use strict";
+
+/*
+ * videoEmbeds.js
+ *
+ * Derives the thumbnail image of a video from the url of its player (an embed, or the page of the video) for
+ * well-known video hosts, where the thumbnail url can be built from the id of the video without a request
+ *
+ */
+
+var url = require("url");
+
+/*
+ * VIDEO_HOSTS
+ *
+ * for each host, the hostnames it serves its player from, a function returning the id of the video from the
+ * parsed url (or null), the pattern of a valid id, and functions giving the thumbnail url (and its size, if known)
+ * from the id
+ */
+var VIDEO_HOSTS = [
+  {
+    hosts: ["youtube.com", "www.youtube.com", "m.youtube.com", "youtube-nocookie.com", "www.youtube-nocookie.com", "youtu.be"],
+    videoId: function(urlObj) {
+      var match = /^\/(?:embed\/|v\/|shorts\/)?([\w-]{11})(?:[\/?]|$)/.exec(urlObj.pathname || "");
+
+      if (urlObj.query && urlObj.query.v) {
+        return urlObj.query.v;
+      }
+      // a playlist embed (/embed/videoseries) has no single video
+      return (match && match[1] !== "videoseries") ? match[1] : null;
+    },
+    idPattern: /^[\w-]{11}$/,
+    thumbnail: function(id) { return "https://i.ytimg.com/vi/" + id + "/hqdefault.jpg"; },
+    size: {width: 480, height: 360}
+  },
+  {
+    hosts: ["dailymotion.com", "www.dailymotion.com", "geo.dailymotion.com", "dai.ly"],
+    videoId: function(urlObj) {
+      var pattern = (urlObj.hostname === "dai.ly") ? /^\/([a-z0-9]+)/i : /^\/(?:embed\/)?video\/([a-z0-9]+)/i;
+      var match = pattern.exec(urlObj.pathname || "");
+
+      if (urlObj.query && urlObj.query.video) {
+        return urlObj.query.video;
+      }
+      return match ? match[1] : null;
+    },
+    idPattern: /^[a-z0-9]+$/i,
+    thumbnail: function(id) { return "https://www.dailymotion.com/thumbnail/video/" + id; },
+    size: null
+  }
+];
+
+/*
+ * thumbnailFor
+ *
+ * returns the thumbnail of the video played by playerUrl as {url, width, height} (width and height are null if
+ * not known), or null if the url is not from a known video host, or does not have a valid video id
+ */
+function thumbnailFor(playerUrl) {
+
+  var urlObj = parseUrl(resolveScheme(playerUrl || ""));
+  var host = urlObj ? findHost(urlObj.hostname) : null;
+  var id = host ? host.videoId(urlObj) : null;
+
+  // a repeated query parameter (?v=a&v=b) gives an array
+  if (typeof id !== "string" || !host.idPattern.test(id)) {
+    return null;
+  }
+  return {
+    url: host.thumbnail(id),
+    width: host.size ? host.size.width : null,
+    height: host.size ? host.size.height : null
+  };
+}
+
+// the parsed url (with its query), or null if it cannot be parsed (url.parse throws for some malformed urls)
+function parseUrl(playerUrl) {
+  try {
+    return url.parse(playerUrl, true);
+  } catch (e) {
+    return null;
+  }
+}
+
+// embeds often use scheme relative urls ("//www.youtube.com/embed/...")
+function resolveScheme(playerUrl) {
+  return (playerUrl.indexOf("//") === 0) ? "https:" + playerUrl : playerUrl;
+}
+
+function findHost(hostname) {
+  hostname = (hostname || "").toLowerCase();
+  for (var i = 0; i < VIDEO_HOSTS.length; i++) {
+    if (VIDEO_HOSTS[i].hosts.indexOf(hostname) >= 0) {
+      return VIDEO_HOSTS[i];
+    }
+  }
+  return null;
+}
+
+module.exports.thumbnailFor = thumbnailFor;
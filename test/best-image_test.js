@@ -2,8 +2,10 @@
 /*jslint node: true */
 "use strict";
 /*jshint multistr: true */
+/* global Promise */
 
 var assert = require("assert");
+var http = require("http");
 var cheerio = require("cheerio");
 
 var request = require("request");
@@ -16,6 +18,22 @@ var docImageParse = require("./../lib/docImageParse.js");
 var checkImageUrl = require("./../lib/checkImageUrl.js");
 var imageScore = require("./../lib/imageScore.js");
 var bestImage = require("./../lib/best-image.js");
+var fetcher = require("./../lib/fetcher.js");
+var srcset = require("./../lib/srcset.js");
+var siteIcon = require("./../lib/siteIcon.js");
+var videoEmbeds = require("./../lib/videoEmbeds.js");
+var charset = require("./../lib/charset.js");
+var iconv = require("iconv-lite");
+var probeCache = require("./../lib/probeCache.js");
+var scheduler = require("./../lib/scheduler.js");
+var robots = require("./../lib/robots.js");
+var requestOptions = require("./../lib/requestOptions.js");
+var abort = require("./../lib/abort.js");
+var errors = require("./../lib/errors.js");
+var async = require("async");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
 
 
 //bestImage.init(console.log, console.log, console.log, console.log);
@@ -32,6 +50,57 @@ function cpobj(obj) {
 	return JSON.parse(JSON.stringify(obj));
 }
 
+//
+// the header bytes of a gif, png or jpg image of the given dimensions (enough for image-size)
+//
+function imageBytes(type, width, height) {
+	var buf;
+
+	if (type === "gif") {
+		buf = Buffer.from("GIF89a\0\0\0\0", "binary");
+		buf.writeUInt16LE(width, 6);
+		buf.writeUInt16LE(height, 8);
+	} else if (type === "jpg") {
+		buf = Buffer.alloc(29);
+		buf.writeUInt16BE(0xFFD8, 0);
+		buf.writeUInt16BE(0xFFE0, 2);
+		buf.writeUInt16BE(16, 4);
+		buf.writeUInt16BE(0xFFC0, 20);
+		buf.writeUInt16BE(17, 22);
+		buf.writeUInt16BE(height, 25);
+		buf.writeUInt16BE(width, 27);
+	} else {
+		buf = Buffer.alloc(24);
+		Buffer.from("\x89PNG\r\n\x1a\n\0\0\0\x0dIHDR", "binary").copy(buf);
+		buf.writeUInt32BE(width, 16);
+		buf.writeUInt32BE(height, 20);
+	}
+	return buf;
+}
+
+//
+// all image probes go through this fetcher, which serves a 200x100 image of the type given by the
+// extension, except for "testnull" images and empty urls (as with the default fetcher) which fail.
+// Documents and stylesheets go to the default fetcher (request.get is stubbed in the tests)
+//
+var TEST_FETCHER = {
+	get: function(options, callback) {
+		if (options.type !== "image") {
+			fetcher.defaultFetcher.get(options, callback);
+			return;
+		}
+		process.nextTick(function() {
+			var ext = options.url.slice(options.url.lastIndexOf(".") + 1);
+			if (!options.url || options.url.indexOf("testnull") >= 0) {
+				callback("Testing Error", null);
+			} else {
+				callback(null, {statusCode: 200, headers: {}, body: imageBytes(ext, 200, 100), url: options.url});
+			}
+		});
+	}
+};
+bestImage.setFetcher(TEST_FETCHER);
+
 var PAGE1 = "\
 <head>\
 	<title> Tire repair and bodywork </title>\
@@ -104,6 +173,10 @@ describe("Doc Image Parse Module (docImageparse)", function() {
 			assert.equal("/ogimage.jpg", imgArray1[0].attribs.src);
 			assert.equal("/twitterimage.jpg", imgArray1[1].attribs.src);
 		});
+		it("should mark meta images with their source", function() {
+			assert.equal("meta", imgArray1[0].source);
+			assert.equal(true, imgArray1[0].isMeta);
+		});
 		var imgArray2 = docImageParse.extractImageTags(doc, PAGE1);
 		it("should extract 8 image tags from the document", function() {
 			assert.equal(8, imgArray2.length);
@@ -111,119 +184,1457 @@ describe("Doc Image Parse Module (docImageparse)", function() {
 			assert.equal("http://image2.gif", imgArray2[1].attribs.src);
 			assert.equal("http://image3.png", imgArray2[2].attribs.src);
 		});
+		it("should mark image tags with their source", function() {
+			assert.equal("img", imgArray2[0].source);
+		});
 
 		it("should extract background-image and background tags from the document", function(done) {
 			docImageParse.getCSSImages(doc, PAGE1, function(err, imgArray) {
 				assert.equal(2, imgArray.length);
 				assert.equal("http://www.site.com/header_image_btn.gif", imgArray[0].attribs.src);
 				assert.equal("http://www.site.com/footer_image_btn.png", imgArray[1].attribs.src);
+				assert.equal("css", imgArray[0].source);
+				done();
+			});
+		});
+	});
+	
+	describe("meta images", function() {
+
+		var PAGE_META = "\
+<html><head>\
+	<meta property='og:image' content='http://site.com/first.jpg'>\
+	<meta property='og:image:url' content='http://site.com/first.jpg'>\
+	<meta property='og:image:secure_url' content='https://site.com/first.jpg'>\
+	<meta property='og:image:width' content='1200'>\
+	<meta property='og:image:height' content='630'>\
+	<meta property='og:image:alt' content='The first image'>\
+	<meta property='og:image' content='http://site.com/second.jpg'>\
+	<meta property='og:image:width' content='400'>\
+	<meta name='twitter:image' content='/twitter.jpg'>\
+	<meta name='twitter:image:alt' content='From twitter'>\
+	<meta property='og:image:url' content='http://site.com/third.jpg'>\
+	<meta name='twitter:image0' content=''>\
+	<link rel='image_src' href='/image_src.jpg'>\
+</head></html>";
+
+		var doc = cheerio.load(PAGE_META);
+		var images = docImageParse.getMetaImages(doc, PAGE_META);
+		var srcs = images.map(function(obj) { return obj.attribs.src; });
+
+		it("should keep all the meta images in document order", function() {
+			assert.deepEqual(["https://site.com/first.jpg", "http://site.com/second.jpg", "/twitter.jpg", "http://site.com/third.jpg",
+				"/image_src.jpg"], srcs);
+			assert.equal(true, images[4].isMeta);
+		});
+		it("should attach the declared dimensions and alt text to their image", function() {
+			assert.deepEqual({width: 1200, height: 630}, images[0].declared);
+			assert.equal("The first image", images[0].attribs.alt);
+			assert.deepEqual({width: 400, height: null}, images[1].declared);
+			assert.equal("From twitter", images[2].attribs.alt);
+			assert.equal(undefined, images[3].declared);
+		});
+		it("should trust the declared dimensions of a meta image instead of probing it", function(done) {
+			var ctx = {url: "http://site.com", count: 2, fetcher: TEST_FETCHER};
+			var candidates = [
+				{src: "http://site.com/declared.gif", isMeta: true, declared: {width: 1200, height: 630}, score: 1},
+				{src: "http://site.com/testnull.gif", isMeta: true, declared: {width: 1200, height: 630}, score: 0.5}
+			];
+
+			bestImage.findValidImages(ctx, candidates, function(err, results) {
+				assert.equal(2, results.length);
+				assert.deepEqual({width: 1200, height: 630, declared: true}, results[0].dimensions);
+				done();
+			});
+		});
+	});
+
+	describe("structured data images", function() {
+
+		var JSON_LD = JSON.stringify({
+			"@context": "https://schema.org",
+			"@graph": [
+				{"@type": "Article", "headline": "Tire repair", "image": {"@id": "http://www.site.com/#primaryimage"},
+					"publisher": {"@type": "Organization", "logo": {"@type": "ImageObject", "url": "/publisher-logo.png"}}},
+				{"@type": "ImageObject", "@id": "http://www.site.com/#primaryimage", "url": "/article.jpg",
+					"width": 1200, "height": {"@type": "QuantitativeValue", "value": "630"}, "caption": "A tire"},
+				{"@type": "Product", "image": ["/product1.jpg", {"@type": "ImageObject", "contentUrl": "/product2.jpg"}]}
+			]
+		});
+		var PAGE_STRUCTURED = "\
+<html>\
+	<script type='application/ld+json'>" + JSON_LD + "</script>\
+	<script type='application/ld+json'>{ not json</script>\
+	<div itemscope itemtype='http://schema.org/Recipe'>\
+		<img itemprop='image' src='/recipe.jpg' alt='Pie'>\
+		<div itemprop='image' itemscope itemtype='http://schema.org/ImageObject'>\
+			<meta itemprop='contentUrl' content='/recipe-large.jpg'>\
+			<meta itemprop='width' content='800'><meta itemprop='height' content='600'>\
+		</div>\
+	</div>\
+</html>";
+
+		var doc = cheerio.load(PAGE_STRUCTURED);
+		var images = docImageParse.getStructuredDataImages(doc, PAGE_STRUCTURED);
+		var srcs = images.map(function(obj) { return obj.attribs.src; });
+
+		it("should extract the images of JSON-LD items, following references", function() {
+			assert.deepEqual(["/article.jpg", "/product1.jpg", "/product2.jpg"], srcs.slice(0, 3));
+			assert.equal("A tire", images[0].attribs.title);
+			assert.equal(-1, srcs.indexOf("/publisher-logo.png"));
+		});
+		it("should extract microdata images", function() {
+			assert.deepEqual(["/recipe.jpg", "/recipe-large.jpg"], srcs.slice(3));
+			assert.equal("Pie", images[3].attribs.title);
+		});
+		it("should record the declared dimensions", function() {
+			assert.deepEqual({width: 1200, height: 630}, images[0].declared);
+			assert.deepEqual({width: 800, height: 600}, images[4].declared);
+			assert.equal(undefined, images[1].declared);
+		});
+		it("should mark the images as structured, and weight them in the score", function() {
+			assert.equal("structured", images[0].source);
+			assert.equal(true, images[0].isStructured);
+			assert.equal(imageScore.getDefaultConfig().isStructured, 
+				imageScore.preferenceScore({src: "http://site.com/a.jpg", isStructured: true}) - imageScore.preferenceScore({src: "http://site.com/a.jpg"}));
+		});
+	});
+
+	describe("video images", function() {
+
+		var PAGE_VIDEO = "\
+<html><head>\
+	<meta property='og:video' content='https://www.youtube.com/watch?v=dQw4w9WgXcQ'>\
+	<meta property='og:video:type' content='text/html'>\
+</head><body>\
+	<video poster='/poster.jpg' width='640' height='360' class='player' title='Our trip'></video>\
+	<video src='/nopost.mp4'></video>\
+	<video src='/blankpost.mp4' poster=' '></video>\
+	<iframe src='//www.youtube-nocookie.com/embed/abcdefghijk?rel=0' title='Embedded'></iframe>\
+	<iframe src='http://[::1/x'></iframe>\
+	<iframe data-src='https://www.dailymotion.com/embed/video/x7tgad0'></iframe>\
+	<iframe src='https://www.youtube.com/embed/videoseries?list=PL123'></iframe>\
+	<iframe src='https://maps.google.com/maps?q=here'></iframe>\
+</body></html>";
+
+		var doc = cheerio.load(PAGE_VIDEO);
+		var images = docImageParse.extractVideoImages(doc, PAGE_VIDEO);
+
+		it("should extract the video poster with its declared size", function() {
+			assert.equal("/poster.jpg", images[0].attribs.src);
+			assert.equal("Our trip", images[0].attribs.title);
+			assert.deepEqual({width: 640, height: 360}, images[0].declared);
+			assert.equal("video", images[0].source);
+			assert.equal(true, images[0].isVideo);
+		});
+		it("should derive the thumbnails of og:video and embedded players from known hosts", function() {
+			assert.deepEqual([
+				"/poster.jpg",
+				"https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg",
+				"https://i.ytimg.com/vi/abcdefghijk/hqdefault.jpg",
+				"https://www.dailymotion.com/thumbnail/video/x7tgad0"
+			], images.map(function(obj) { return obj.attribs.src; }));
+			assert.deepEqual({width: 480, height: 360}, images[1].declared);
+			assert.equal(undefined, images[3].declared);
+		});
+		it("should not derive a thumbnail for unknown hosts or playlists", function() {
+			assert.equal(null, videoEmbeds.thumbnailFor("https://vimeo.example.com/video/123"));
+			assert.equal(null, videoEmbeds.thumbnailFor("https://www.youtube.com/embed/videoseries?list=PL123"));
+			assert.equal("https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg", videoEmbeds.thumbnailFor("https://youtu.be/dQw4w9WgXcQ").url);
+		});
+		it("should not derive a thumbnail from an invalid video id or url", function() {
+			assert.equal(null, videoEmbeds.thumbnailFor("https://www.youtube.com/watch?v=dQw4w9WgXcQ&v=abcdefghijk"));
+			assert.equal(null, videoEmbeds.thumbnailFor("https://www.youtube.com/watch?v=../../x"));
+			assert.equal(null, videoEmbeds.thumbnailFor("https://www.dailymotion.com/embed?video=x7t/ad0"));
+			assert.equal(null, videoEmbeds.thumbnailFor("http://[::1/x"));
+		});
+		it("should weight video images above a logo", function() {
+			var video = imageScore.preferenceScore({src: "http://site.com/poster.jpg", isVideo: true});
+			var logo = imageScore.preferenceScore({src: "http://site.com/logo.jpg"});
+			assert.equal(true, video > logo);
+		});
+	});
+
+	describe("DOM context", function() {
+
+		var PAGE_CONTEXT = "\
+<html><body>\
+	<header><nav><a href='/'><img src='/logo.png'></a></nav></header>\
+	<main><article><p><img src='/story.jpg'></p></article></main>\
+	<div role='complementary'><img src='/ad.jpg'></div>\
+	<footer><img src='/badge.png'></footer>\
+	<div class='hero' style='background-image: url(/hero.jpg)'></div>\
+</body></html>";
+
+		var doc = cheerio.load(PAGE_CONTEXT);
+		var images = docImageParse.extractImageTags(doc, PAGE_CONTEXT);
+
+		it("should record the landmarks an image is inside, and whether it is in a link", function() {
+			assert.deepEqual(["nav", "header"], images[0].context.landmarks);
+			assert.equal(true, images[0].context.inLink);
+			assert.deepEqual(["article", "main"], images[1].context.landmarks);
+			assert.equal(false, images[1].context.inLink);
+			assert.deepEqual(["aside"], images[2].context.landmarks);
+			assert.deepEqual(["footer"], images[3].context.landmarks);
+		});
+		it("should record the document order, position and depth", function() {
+			assert.equal(true, images[0].context.order < images[1].context.order);
+			assert.equal(true, images[1].context.position < images[3].context.position);
+			assert.equal(true, images[3].context.position <= 1);
+			assert.equal(5, images[1].context.depth);
+		});
+		it("should record the context of background images in style attributes", function() {
+			var backgrounds = docImageParse.extractInlineStyleImages(doc, PAGE_CONTEXT);
+			assert.deepEqual([], backgrounds[0].context.landmarks);
+			assert.equal(true, backgrounds[0].context.position > images[3].context.position);
+		});
+		it("should score content images above navigation and footer images", function() {
+			var scores = images.map(function(obj) {
+				return imageScore.preferenceScore({src: "http://site.com/image.jpg", context: obj.context});
+			});
+			assert.equal(true, scores[1] > scores[0]);
+			assert.equal(true, scores[1] > scores[2]);
+			assert.equal(true, scores[1] > scores[3]);
+		});
+		it("should use the configured weights", function() {
+			var config = imageScore.buildConfig({context: {landmarks: {nav: 5}}});
+			var context = {landmarks: ["nav"], position: 0, depth: 0, inLink: false};
+			assert.equal(5, imageScore.preferenceScore({src: "http://site.com/image.jpg", context: context}, config) -
+				imageScore.preferenceScore({src: "http://site.com/image.jpg"}, config));
+		});
+	});
+
+	describe("captions and surrounding text", function() {
+
+		var PAGE_CAPTIONS = "\
+<html><body>\
+	<h2>Fixing a flat tire</h2>\
+	<figure><img src='/flat.jpg'><figcaption>\
+		A punctured   tire being patched\
+	</figcaption></figure>\
+	<p>Inline <img src='/inline.jpg'> in the text about wheel alignment</p>\
+	<div><div><img src='/lonely.jpg'></div></div>\
+</body></html>";
+
+		var doc = cheerio.load(PAGE_CAPTIONS);
+		var images = docImageParse.extractImageTags(doc, PAGE_CAPTIONS);
+
+		it("should capture the figcaption of an image", function() {
+			assert.equal("A punctured tire being patched", images[0].caption);
+			assert.equal(undefined, images[1].caption);
+		});
+		it("should capture the nearby heading and paragraph text", function() {
+			assert.deepEqual(["Fixing a flat tire", "Inline in the text about wheel alignment"], images[0].nearbyText);
+			assert.equal("Inline in the text about wheel alignment", images[1].nearbyText[0]);
+			assert.deepEqual(["Fixing a flat tire", "Inline in the text about wheel alignment"], images[2].nearbyText);
+		});
+		it("should score the caption and nearby text against the query with their own factors", function() {
+			var plain = {src: "http://site.com/a.jpg", query: "punctured tire"};
+			var captioned = {src: "http://site.com/a.jpg", query: "punctured tire", caption: "A punctured tire being patched"};
+			var config = imageScore.buildConfig({queryFactors: {caption: 0, nearbyText: 0}});
+
+			assert.equal(true, imageScore.preferenceScore(captioned) > imageScore.preferenceScore(plain));
+			assert.equal(imageScore.preferenceScore(plain, config), imageScore.preferenceScore(captioned, config));
+		});
+	});
+
+	describe("lazy loaded images", function() {
+
+		var PAGE_LAZY = "\
+<html>\
+	<img class='lazyload' src='data:image/gif;base64,R0lGODlhAQABAAAAACw=' data-src='/real1.jpg' alt='first'>\
+	<img src='/images/loading.gif' data-lazy-src='/real2.jpg'>\
+	<img src='/images/blank.gif' data-original='/real3.jpg'>\
+	<img src='data:image/gif;base64,R0lGODlhAQABAAAAACw=' data-srcset='/real4-400.jpg 400w, /real4-800.jpg 800w'>\
+	<img class='lazy' src='/spinner.gif'>\
+	<div>\
+		<img src='data:image/gif;base64,R0lGODlhAQABAAAAACw='>\
+		<noscript><img src='/real5.jpg'></noscript>\
+	</div>\
+	<div class='hero' data-bg='url(/hero.jpg)'></div>\
+	<section id='banner' data-background='/banner.jpg'></section>\
+</html>";
+
+		var doc = cheerio.load(PAGE_LAZY);
+		var srcs = docImageParse.extractImageTags(doc, PAGE_LAZY).map(function(obj) { return obj.attribs.src; });
+
+		it("should use the real url from the lazy loading attributes", function() {
+			assert.equal("/real1.jpg", srcs[0]);
+			assert.equal("/real2.jpg", srcs[1]);
+			assert.equal("/real3.jpg", srcs[2]);
+		});
+		it("should use the lazy loaded srcset", function() {
+			assert.equal("/real4-800.jpg", srcs[3]);
+		});
+		it("should ignore placeholders for images loaded by script or with a noscript fallback", function() {
+			assert.equal(-1, srcs.indexOf("/spinner.gif"));
+			assert.equal(5, srcs.length);
+			assert.equal("/real5.jpg", srcs[4]);
+		});
+		it("should extract lazy loaded background images with their element context", function() {
+			var images = docImageParse.extractLazyBackgrounds(doc, PAGE_LAZY);
+			assert.equal(2, images.length);
+			assert.equal("/hero.jpg", images[0].attribs.src);
+			assert.equal("hero", images[0].attribs.class);
+			assert.equal("/banner.jpg", images[1].attribs.src);
+			assert.equal("banner", images[1].attribs.id);
+			assert.equal("css", images[1].source);
+		});
+		it("should skip lazy loaded backgrounds which are not set yet", function() {
+			var page = "<html><div data-bg=''></div><div data-bg='  '></div><div data-bg=\"url('')\"></div>" +
+				"<div data-background='/set.jpg'></div></html>";
+			var images = docImageParse.extractLazyBackgrounds(cheerio.load(page), page);
+
+			assert.equal(1, images.length);
+			assert.equal("/set.jpg", images[0].attribs.src);
+		});
+		it("should recognize placeholder image urls", function() {
+			assert.equal(true, docImageParse.isPlaceholderSrc(""));
+			assert.equal(true, docImageParse.isPlaceholderSrc("/img/transparent.png?v=2"));
+			assert.equal(false, docImageParse.isPlaceholderSrc("/img/tire-repair.jpg"));
+		});
+	});
+
+	describe("inline style images", function() {
+
+		var PAGE_STYLES = "\
+<html>\
+	<head><style>\
+		.hero-banner { background-image: url('/hero-bg.jpg'); }\
+		p { color: red; }\
+	</style></head>\
+	<div id='feature' class='panel' style='color: blue; background-image: url(\"/feature.png\")'></div>\
+	<span style='color: red'></span>\
+	<div style='background-image: url(/broken.png'></div>\
+</html>";
+
+		var doc = cheerio.load(PAGE_STYLES);
+		var images = docImageParse.extractInlineStyleImages(doc, PAGE_STYLES);
+
+		it("should extract background images from style attributes with the element context", function() {
+			assert.equal("/feature.png", images[0].attribs.src);
+			assert.equal("feature", images[0].attribs.id);
+			assert.equal("panel", images[0].attribs.class);
+			assert.equal("css", images[0].source);
+		});
+		it("should extract background images from style blocks with the rule selector", function() {
+			assert.equal(2, images.length);
+			assert.equal("/hero-bg.jpg", images[1].attribs.src);
+			assert.equal(".hero-banner", images[1].attribs.selector);
+		});
+		it("should score the element id and selector as context", function() {
+			var withContext = imageScore.preferenceScore({src: "http://site.com/a.jpg", id: "main"});
+			var withoutContext = imageScore.preferenceScore({src: "http://site.com/a.jpg"});
+			assert.equal(true, withContext > withoutContext);
+		});
+	});
+
+	describe("nested and imported stylesheets", function() {
+
+		var PAGE_IMPORTS = "\
+<html>\
+	<head>\
+		<link href='/css/main.css' rel='stylesheet'>\
+		<style>@import url('/css/inline.css');</style>\
+	</head>\
+</html>";
+
+		var cssFixtures = fetcher.createFixtureFetcher({
+			"http://www.site.com/css/main.css": "\
+@import 'theme/theme.css';\
+@import url(\"main.css\");\
+@media (min-width: 800px) { .hero { background-image: url(hero-wide.jpg); } }\
+@supports (display: grid) { @media print { .print { background: url(/print.png); } } }",
+			"http://www.site.com/css/theme/theme.css": "@import 'deeper.css'; .theme { background: url(../img/theme.jpg); }",
+			"http://www.site.com/css/theme/deeper.css": "@import 'deepest.css'; .deeper { background: url(deeper.jpg); }",
+			"http://www.site.com/css/theme/deepest.css": "@import 'toodeep.css'; .deepest { background: url(deepest.jpg); }",
+			"http://www.site.com/css/theme/toodeep.css": ".toodeep { background: url(toodeep.jpg); }",
+			"http://www.site.com/css/inline.css": ".inline { background: url(inline.jpg); }"
+		});
+
+		var doc = cheerio.load(PAGE_IMPORTS);
+		doc.fullUrl = "http://www.site.com/index.html";
+		doc.fetcher = cssFixtures;
+
+		var srcs;
+
+		before(function(done) {
+			docImageParse.getCSSImages(doc, PAGE_IMPORTS, function(err, imgArray) {
+				srcs = imgArray.map(function(obj) { return obj.attribs.src; });
+				done();
+			});
+		});
+
+		it("should find images inside @media and @supports blocks, relative to the stylesheet", function() {
+			assert.notEqual(-1, srcs.indexOf("http://www.site.com/css/hero-wide.jpg"));
+			assert.notEqual(-1, srcs.indexOf("http://www.site.com/print.png"));
+		});
+		it("should follow @import rules in stylesheets and style blocks", function() {
+			assert.notEqual(-1, srcs.indexOf("http://www.site.com/css/img/theme.jpg"));
+			assert.notEqual(-1, srcs.indexOf("http://www.site.com/css/theme/deepest.jpg"));
+			assert.notEqual(-1, srcs.indexOf("http://www.site.com/css/inline.jpg"));
+		});
+		it("should stop following imports past the depth limit, and load each stylesheet once", function() {
+			assert.equal(-1, srcs.indexOf("http://www.site.com/css/theme/toodeep.jpg"));
+			assert.equal(6, srcs.length);
+		});
+		it("should read every stylesheet the document links, and limit those they import", function(done) {
+			var links = "";
+			var imports = "";
+			var sheets = {};
+			var manyDoc, i;
+			var count = function(imgArray, selector) {
+				return imgArray.filter(function(obj) { return obj.attribs.selector === selector; }).length;
+			};
+
+			for (i = 0; i < 25; i++) {
+				links += "<link href='/css/linked" + i + ".css' rel='stylesheet'>";
+				imports += "@import 'imported" + i + ".css';";
+				sheets["http://www.site.com/css/linked" + i + ".css"] = ".linked { background: url(linked.jpg); }";
+				sheets["http://www.site.com/css/imported" + i + ".css"] = ".imported { background: url(imported.jpg); }";
+			}
+			// the first linked stylesheet imports 25 more
+			sheets["http://www.site.com/css/linked0.css"] = imports + ".linked { background: url(linked.jpg); }";
+			links = "<html><head>" + links + "</head></html>";
+
+			manyDoc = cheerio.load(links);
+			manyDoc.fullUrl = "http://www.site.com/index.html";
+			manyDoc.fetcher = fetcher.createFixtureFetcher(sheets);
+
+			docImageParse.getCSSImages(manyDoc, links, function(err, imgArray) {
+				assert.equal(25, count(imgArray, ".linked"));
+				assert.equal(20, count(imgArray, ".imported"));
+				done();
+			});
+		});
+		it("should get the image from each layer of a background", function() {
+			assert.deepEqual(["a.png", "b.jpg"], docImageParse.backgroundImageUrls("url(a.png) no-repeat, linear-gradient(red, blue), #fff url('b.jpg')"));
+			assert.deepEqual([], docImageParse.backgroundImageUrls("rgba(0,20,55, 0.3)"));
+		});
+		it("should use the highest density image of an image-set", function() {
+			assert.deepEqual(["b.jpg"], docImageParse.backgroundImageUrls("image-set(url(a.jpg) 1x, url(b.jpg) 2x)"));
+			assert.deepEqual(["d.jpg"], docImageParse.backgroundImageUrls("-webkit-image-set(\"c.jpg\" 1x, \"d.jpg\" 3dppx)"));
+		});
+	});
+
+	describe("function getDocImageArray to extract best images from HTML", function() {
+
+		before(function() {
+			sinon.stub(request, "get").yields(null, {statusCode: 200}, CSS_FILE);
+		});
+		after(function(){
+			request.get.restore();
+		});
+
+		it("should return all images in the doc including meta tag and css images", function(done) {
+			docImageParse.getDocImageArray("http://www.site.com", PAGE1, "query", function(err, imgArray) {
+				assert.equal(12, imgArray.length);
+				done();
+			});
+		});
+	});			
+});
+
+/*
+ * srcset
+ */
+var PAGE_RESPONSIVE = "\
+<html>\
+	<img src='/small.jpg' srcset='/medium.jpg 600w, /large.jpg 1200w, /tiny.jpg 100w' width='300' height='150' alt='Hero'>\
+	<img srcset='/photo.jpg, /photo-2x.jpg 2x' width='400'>\
+	<picture>\
+		<source srcset='/wide.webp 1600w, /narrow.webp 800w' type='image/webp'>\
+		<img src='/fallback.jpg' alt='Picture of a tire' class='hero'>\
+	</picture>\
+</html>";
+
+describe("Srcset module", function() {
+
+	describe("parseSrcset", function() {
+
+		it("should parse width descriptors", function() {
+			var candidates = srcset.parseSrcset("/a.jpg 100w, /b.jpg 200w");
+			assert.equal(2, candidates.length);
+			assert.equal("/b.jpg", candidates[1].url);
+			assert.equal(200, candidates[1].width);
+		});
+		it("should parse density descriptors, and candidates with no descriptor", function() {
+			var candidates = srcset.parseSrcset("/a.jpg, /b.jpg 1.5x");
+			assert.equal("/a.jpg", candidates[0].url);
+			assert.equal(undefined, candidates[0].density);
+			assert.equal(1.5, candidates[1].density);
+		});
+		it("should keep commas which are part of the url", function() {
+			var candidates = srcset.parseSrcset("http://cdn.com/w_300,h_200/a.jpg 300w, http://cdn.com/w_600,h_400/a.jpg 600w");
+			assert.equal(2, candidates.length);
+			assert.equal("http://cdn.com/w_600,h_400/a.jpg", candidates[1].url);
+		});
+	});
+
+	describe("parseSizes", function() {
+
+		it("should return the largest slot width in pixels", function() {
+			assert.equal(640, srcset.parseSizes("(max-width: 600px) 480px, 50vw"));
+			assert.equal(320, srcset.parseSizes("20em"));
+			assert.equal(0, srcset.parseSizes(""));
+		});
+	});
+
+	describe("bestCandidate", function() {
+
+		it("should pick the widest variant", function() {
+			var best = srcset.bestCandidate({src: "/small.jpg", srcset: "/medium.jpg 600w, /large.jpg 1200w"});
+			assert.equal("/large.jpg", best.url);
+			assert.equal(1200, best.width);
+		});
+		it("should pick the highest density variant, and imply its width from the slot", function() {
+			var best = srcset.bestCandidate({src: "/a.jpg", srcset: "/a-2x.jpg 2x, /a-3x.jpg 3x", width: "100"});
+			assert.equal("/a-3x.jpg", best.url);
+			assert.equal(300, best.width);
+		});
+		it("should return null without a srcset", function() {
+			assert.equal(null, srcset.bestCandidate({src: "/a.jpg"}));
+		});
+	});
+
+	describe("responsive images in the document", function() {
+
+		var doc = cheerio.load(PAGE_RESPONSIVE);
+		var imgArray = docImageParse.extractImageTags(doc, PAGE_RESPONSIVE);
+
+		it("should use the highest quality variant of an img srcset, with its width as a size hint", function() {
+			assert.equal("/large.jpg", imgArray[0].attribs.src);
+			assert.equal(1200, imgArray[0].declared.width);
+			assert.equal(600, imgArray[0].declared.height);
+		});
+		it("should use the highest density variant when there is no src", function() {
+			assert.equal("/photo-2x.jpg", imgArray[1].attribs.src);
+			assert.equal(800, imgArray[1].declared.width);
+		});
+		it("should add picture sources as candidates, described by the picture img", function() {
+			var source = imgArray[imgArray.length - 1];
+			assert.equal(4, imgArray.length);
+			assert.equal("/wide.webp", source.attribs.src);
+			assert.equal("Picture of a tire", source.attribs.alt);
+			assert.equal("img", source.source);
+		});
+	});
+});
+
+/*
+ * checkImageUrl
+ */
+describe("CheckImageUrl module", function() {
+	describe("test helper function extensionSupportedForSizing ", function() {
+
+		it("should return true for JPG", function() {
+			assert.equal(true, checkImageUrl.extensionSupportedForSizing("http://www.site.com/index/asset.jpg").supported);
+			assert.equal("jpg", checkImageUrl.extensionSupportedForSizing("http://www.site.com/index/asset.jpg").ext);
+		});
+		it("should return true for GIF and with no https", function() {
+			assert.equal(true, checkImageUrl.extensionSupportedForSizing("https://www.site.com/asset.gif").supported);
+			assert.equal("gif", checkImageUrl.extensionSupportedForSizing("https://www.site.com/asset.gif").ext);
+		});
+		it("should return true for PNG and with trailing url paramaters", function() {
+			assert.equal(true, checkImageUrl.extensionSupportedForSizing("https://www.site.com/asset.png?stuff=5&more=hello there.blah").supported);
+			assert.equal("png", checkImageUrl.extensionSupportedForSizing("https://www.site.com/asset.png?stuff=5&more=hello there.blah").ext);
+		});
+		it("should return false for AXF file", function() {
+			assert.equal(false, checkImageUrl.extensionSupportedForSizing("https://www.site.com/asset.axf").supported);
+			assert.equal("axf", checkImageUrl.extensionSupportedForSizing("https://www.site.com/asset.axf").ext);
+		});
+	});
+
+	describe("image probes with the default fetcher", function() {
+
+		var server;
+		var base;
+		var routes = {
+			"/moved.png": {statusCode: 301, headers: {location: "/cdn/image"}},
+			"/hop1": {statusCode: 302, headers: {location: "/hop2"}},
+			"/hop2": {statusCode: 307, headers: {location: "/cdn/image"}},
+			"/loop": {statusCode: 302, headers: {location: "/loop"}},
+			"/cdn/image": {headers: {"content-type": "image/png"}, body: imageBytes("png", 320, 240)},
+			"/photo.jpg": {headers: {"content-type": "image/gif"}, body: imageBytes("gif", 64, 32)},
+			"/error.png": {headers: {"content-type": "text/html; charset=utf-8"}, body: "<html><body>Not here</body></html>"},
+			"/icon.svg": {headers: {"content-type": "image/svg+xml"}, body: "<svg xmlns='http://www.w3.org/2000/svg' width='50' height='40'></svg>"}
+		};
+
+		before(function(done) {
+			server = http.createServer(function(req, res) {
+				var route = routes[req.url] || {statusCode: 404, body: "missing"};
+				res.writeHead(route.statusCode || 200, route.headers || {});
+				res.end(route.body);
+			});
+			server.listen(0, "127.0.0.1", function() {
+				base = "http://127.0.0.1:" + server.address().port;
+				done();
+			});
+		});
+		after(function(done) {
+			server.close(done);
+		});
+
+		it("should size an image served from an extensionless url", function(done) {
+			checkImageUrl.checkImageUrl(base + "/cdn/image", function(err, dimensions) {
+				assert.equal(null, err);
+				assert.equal(320, dimensions.width);
+				assert.equal(240, dimensions.height);
+				done();
+			});
+		});
+		it("should follow a redirect", function(done) {
+			checkImageUrl.checkImageUrl(base + "/moved.png", function(err, dimensions) {
+				assert.equal(null, err);
+				assert.equal(320, dimensions.width);
+				done();
+			});
+		});
+		it("should follow a chain of redirects", function(done) {
+			checkImageUrl.checkImageUrl(base + "/hop1", function(err, dimensions) {
+				assert.equal(null, err);
+				assert.equal(240, dimensions.height);
+				done();
+			});
+		});
+		it("should give up on a redirect loop", function(done) {
+			checkImageUrl.checkImageUrl(base + "/loop", function(err, dimensions) {
+				assert.equal("PROBE_NETWORK", err.code);
+				assert.equal("TOO_MANY_REDIRECTS", err.cause.code);
+				assert.equal(null, dimensions);
 				done();
 			});
 		});
-	});
-	
-	describe("function getDocImageArray to extract best images from HTML", function() {
+		it("should size an image by its contents rather than its extension", function(done) {
+			checkImageUrl.checkImageUrl(base + "/photo.jpg", function(err, dimensions) {
+				assert.equal(null, err);
+				assert.equal("gif", dimensions.type);
+				assert.equal(64, dimensions.width);
+				done();
+			});
+		});
+		it("should reject an html page served for an image url", function(done) {
+			checkImageUrl.checkImageUrl(base + "/error.png", function(err, dimensions) {
+				assert.equal("PROBE_BAD_IMAGE_TYPE", err.code);
+				assert.equal(null, dimensions);
+				done();
+			});
+		});
+		it("should size an svg image", function(done) {
+			checkImageUrl.checkImageUrl(base + "/icon.svg", function(err, dimensions) {
+				assert.equal(null, err);
+				assert.equal(50, dimensions.width);
+				assert.equal(40, dimensions.height);
+				done();
+			});
+		});
+		it("should fail a missing image", function(done) {
+			checkImageUrl.checkImageUrl(base + "/nothing.png", function(err, dimensions) {
+				assert.equal("PROBE_HTTP_STATUS", err.code);
+				assert.equal(404, err.statusCode);
+				assert.equal(base + "/nothing.png", err.url);
+				done();
+			});
+		});
+	});
+
+	describe("document base", function() {
+
+		var PAGE_BASE = "\
+<html><head><base href='/static/v2/'></head><body>\
+	<img src='images/hero.jpg'>\
+	<img src='/images/rooted.jpg'>\
+	<img src='//cdn.site.com/images/cdn.jpg'>\
+</body></html>";
+
+		it("should use the base href relative to the document", function() {
+			assert.equal("http://www.site.com/static/v2/", docImageParse.documentBase("http://www.site.com/a/page.html", PAGE_BASE));
+			assert.equal("http://www.site.com/a/page.html", docImageParse.documentBase("http://www.site.com/a/page.html", PAGE1));
+		});
+		it("should resolve candidate images against the base of the document", function(done) {
+			docImageParse.getDocImageArray("http://www.site.com/a/page.html", PAGE_BASE, "", {fetcher: TEST_FETCHER}, function(err, imgArray) {
+				assert.deepEqual([
+					"http://www.site.com/static/v2/images/hero.jpg",
+					"http://www.site.com/images/rooted.jpg",
+					"http://cdn.site.com/images/cdn.jpg"
+				], imgArray.map(function(obj) { return obj.src; }));
+				done();
+			});
+		});
+		it("should resolve against the url of the document after redirects", function() {
+			var redirected = bestImage.create({fetcher: fetcher.createFixtureFetcher({
+				"http://short.site.com/abc": {body: "<html><img src='photo.jpg'></html>", url: "http://www.site.com/articles/abc.html"},
+				"http://www.site.com/articles/photo.jpg": imageBytes("jpg", 400, 200)
+			})});
+
+			return redirected.getBestImageAsync("http://short.site.com/abc").then(function(src) {
+				assert.equal("http://www.site.com/articles/photo.jpg", src);
+			});
+		});
+	});
+
+	describe("test helper function cleanUpUrl", function() {
+
+		var sourceUrl = "http://test.ask.com/sitepath";
+		var sourceHost = "http://test.ask.com";
+
+		it("should return back a fully qualified image url pathname", function() {
+			var imgUrl = "http://test.ask.com/image.jpg";
+			checkImageUrl.resolveRelativeUrl(sourceUrl, imgUrl, function(err, img) {
+				assert.equal(img, imgUrl);
+			});
+		});
+		it("should add the host if preceded by a slash", function() {
+			var imgUrl = "/imgpath/image.jpg?query=hello#hashtag";
+			checkImageUrl.resolveRelativeUrl(sourceUrl, imgUrl, function(err, img) {
+				assert.equal(img, sourceHost + imgUrl);
+			});
+		});
+		it("should add the host if preceded by a slash", function() {
+			var imgUrl = "/imgpath/image.jpg";
+			checkImageUrl.resolveRelativeUrl(sourceUrl, imgUrl, function(err, img) {
+				assert.equal(img, sourceHost + imgUrl);
+			});
+		});
+		it("should add the host if preceded by a dot dot slash", function() {
+			var imgUrl = "../imgpath/image.jpg";
+			checkImageUrl.resolveRelativeUrl(sourceUrl, imgUrl, function(err, img) {
+				assert.equal(img, sourceHost + "/" + "imgpath/image.jpg");
+			});
+		});
+		it("should add the protocol if preceded by a double slash", function() {
+			var imgUrl = "//test.ask.com/imgpath/image.jpg?query=hello#hashtag";
+			checkImageUrl.resolveRelativeUrl(sourceUrl, imgUrl, function(err, img) {
+				assert.equal(img, "http:" + imgUrl);
+			});
+		});
+		it("should add the protocol if preceded by a double slash", function() {
+			var imgUrl = "//test.ask.com/imgpath/image.jpg";
+			checkImageUrl.resolveRelativeUrl(sourceUrl, imgUrl, function(err, img) {
+				assert.equal(img, "http:" + imgUrl);
+			});
+		});
+		it("should add the host and the path if preceded by nothing", function() {
+			var imgUrl = "imgpath/image.jpg?query=hello#hashtag";
+			checkImageUrl.resolveRelativeUrl(sourceUrl, imgUrl, function(err, img) {
+				assert.equal(img, sourceHost + "/" + imgUrl);
+			});
+		});
+		it("should add the host and the path if preceded by nothing", function() {
+			var imgUrl = "imgpath/image.jpg?";
+			checkImageUrl.resolveRelativeUrl(sourceUrl, imgUrl, function(err, img) {
+				assert.equal(img, sourceHost + "/" + imgUrl);
+			});
+		});
+		it("should handle an empty string per url rules and return the base path", function() {
+			var imgUrl = "";
+			checkImageUrl.resolveRelativeUrl(sourceUrl, imgUrl, function(err, img) {
+				assert.equal(img, sourceUrl);
+			});
+		});
+	});	
+});
+
+/*
+ * fetcher
+ */
+describe("Fetcher module", function() {
+
+	var fixtureFetcher = fetcher.createFixtureFetcher({
+		"http://fixtures.site.com/index.html": PAGE1,
+		"http://fixtures.site.com/missing.png": {statusCode: 404, body: "not found"},
+		"http://fixtures.site.com/image.png": imageBytes("png", 300, 150),
+		"http://fixtures.site.com/image.gif": imageBytes("gif", 20, 10),
+		"http://fixtures.site.com/ogimage.jpg": imageBytes("jpg", 640, 320),
+		"http://fixtures.site.com/twitterimage.jpg": imageBytes("jpg", 400, 200),
+		"http://fixtures.site.com/css/testfile.css": CSS_FILE
+	});
+
+	describe("fixture fetcher", function() {
+
+		it("should serve a document body as a string", function(done) {
+			fixtureFetcher.get({url: "http://fixtures.site.com/index.html", type: "document"}, function(err, response) {
+				assert.equal(200, response.statusCode);
+				assert.equal(PAGE1, response.body);
+				done();
+			});
+		});
+		it("should serve an image body as a Buffer", function(done) {
+			fixtureFetcher.get({url: "http://fixtures.site.com/image.png", type: "image"}, function(err, response) {
+				assert.equal(true, Buffer.isBuffer(response.body));
+				done();
+			});
+		});
+		it("should return an error for a url with no fixture", function(done) {
+			fixtureFetcher.get({url: "http://fixtures.site.com/nothing.png", type: "image"}, function(err, response) {
+				assert.equal("NO_FIXTURE", err.code);
+				assert.equal("No fixture for: http://fixtures.site.com/nothing.png", err.message);
+				assert.equal(null, response);
+				done();
+			});
+		});
+	});
+
+	describe("default fetcher", function() {
+
+		before(function() {
+			sinon.stub(request, "get").yields(null, {statusCode: 200}, CSS_FILE);
+		});
+		after(function() {
+			request.get.restore();
+		});
+
+		it("should give up on a document or stylesheet after the default timeout", function(done) {
+			fetcher.defaultFetcher.get({url: "http://fixtures.site.com/css/testfile.css", type: "stylesheet"}, function(err, response) {
+				assert.equal(CSS_FILE, response.body);
+				assert.equal(5000, request.get.lastCall.args[0].timeout);
+				done();
+			});
+		});
+		it("should use the timeout of the request", function(done) {
+			fetcher.defaultFetcher.get({url: "http://fixtures.site.com/index.html", type: "document", timeout: 800}, function() {
+				assert.equal(800, request.get.lastCall.args[0].timeout);
+				done();
+			});
+		});
+	});
+
+	describe("checkImageUrl with a fetcher", function() {
+
+		it("should size the image returned by the fetcher", function(done) {
+			checkImageUrl.checkImageUrl("http://fixtures.site.com/image.png", {fetcher: fixtureFetcher}, function(err, dimensions) {
+				assert.equal(null, err);
+				assert.equal(300, dimensions.width);
+				assert.equal(150, dimensions.height);
+				done();
+			});
+		});
+		it("should fail an image that does not return a 200", function(done) {
+			checkImageUrl.checkImageUrl("http://fixtures.site.com/missing.png", {fetcher: fixtureFetcher}, function(err, dimensions) {
+				assert.equal("PROBE_HTTP_STATUS", err.code);
+				assert.equal("Status Code: 404", err.message);
+				assert.equal(null, dimensions);
+				done();
+			});
+		});
+	});
+
+	describe("lookup using only a fixture fetcher", function() {
+
+		it("should fetch the document, stylesheets and images through the instance fetcher", function() {
+			var offline = bestImage.create({fetcher: fixtureFetcher});
+
+			return offline.getBestImagesAsync("http://fixtures.site.com/index.html", {count: 5}).then(function(results) {
+				var srcs = results.map(function(item) { return item.src; });
+				assert.equal("http://fixtures.site.com/ogimage.jpg", srcs[0]);
+				assert.equal(true, srcs.indexOf("http://fixtures.site.com/twitterimage.jpg") >= 0);
+				assert.equal(640, results[0].dimensions.width);
+			});
+		});
+	});
+});
+
+/*
+ * probeCache
+ */
+describe("Probe cache module", function() {
+
+	// a fixture fetcher which counts the requests it serves
+	var countingFetcher = function(fixtures) {
+		var fixtureFetcher = fetcher.createFixtureFetcher(fixtures);
+		var counted = {requests: 0, get: function(options, callback) {
+			counted.requests++;
+			fixtureFetcher.get(options, callback);
+		}};
+		return counted;
+	};
+
+	describe("memory cache", function() {
+
+		it("should evict the least recently used value when full", function(done) {
+			var cache = probeCache.createMemoryCache({maxEntries: 2});
+
+			cache.set("a", {n: 1}, 60000);
+			cache.set("b", {n: 2}, 60000);
+			cache.get("a", function() {
+				cache.set("c", {n: 3}, 60000);
+				cache.get("b", function(err, b) {
+					assert.equal(null, b);
+					cache.get("a", function(err, a) {
+						assert.equal(1, a.n);
+						done();
+					});
+				});
+			});
+		});
+		it("should not return an expired value", function(done) {
+			var cache = probeCache.createMemoryCache();
+
+			cache.set("a", {n: 1}, -1);
+			cache.get("a", function(err, a) {
+				assert.equal(null, a);
+				done();
+			});
+		});
+	});
+
+	describe("file cache", function() {
+
+		it("should keep values across cache instances", function(done) {
+			var directory = path.join(os.tmpdir(), "best-image-cache-" + process.pid);
+
+			probeCache.createFileCache({directory: directory}).set("http://site.com/a.png", {dimensions: {width: 3}}, 60000, function(err) {
+				assert.equal(null, err);
+				probeCache.createFileCache({directory: directory}).get("http://site.com/a.png", function(err, value) {
+					assert.equal(3, value.dimensions.width);
+					// (fs.rmSync is not in older versions of node)
+					fs.readdirSync(directory).forEach(function(file) { fs.unlinkSync(path.join(directory, file)); });
+					fs.rmdirSync(directory);
+					done();
+				});
+			});
+		});
+	});
+
+	describe("checkImageUrl with a cache", function() {
+
+		it("should not probe an image again while its result is cached", function(done) {
+			var counting = countingFetcher({"http://cache.site.com/image.png": imageBytes("png", 300, 150)});
+			var options = {fetcher: counting, cache: {store: probeCache.createMemoryCache()}};
+
+			checkImageUrl.checkImageUrl("http://cache.site.com/image.png", options, function() {
+				checkImageUrl.checkImageUrl("http://cache.site.com/image.png", options, function(err, dimensions) {
+					assert.equal(300, dimensions.width);
+					assert.equal(1, counting.requests);
+					done();
+				});
+			});
+		});
+		it("should cache failures for the negative ttl", function(done) {
+			var counting = countingFetcher({"http://cache.site.com/missing.png": {statusCode: 404, body: "not found"}});
+			var cached = {fetcher: counting, cache: {store: probeCache.createMemoryCache()}};
+			var uncached = {fetcher: counting, cache: {store: probeCache.createMemoryCache(), negativeTtl: 0}};
+
+			checkImageUrl.checkImageUrl("http://cache.site.com/missing.png", cached, function() {
+				checkImageUrl.checkImageUrl("http://cache.site.com/missing.png", cached, function(err) {
+					// the cached failure keeps its code and details
+					assert.equal("PROBE_HTTP_STATUS", err.code);
+					assert.equal(404, err.statusCode);
+					assert.equal(1, counting.requests);
+					checkImageUrl.checkImageUrl("http://cache.site.com/missing.png", uncached, function() {
+						checkImageUrl.checkImageUrl("http://cache.site.com/missing.png", uncached, function() {
+							assert.equal(3, counting.requests);
+							done();
+						});
+					});
+				});
+			});
+		});
+		it("should share one probe between concurrent checks of the same url", function(done) {
+			var counting = countingFetcher({"http://cache.site.com/shared.png": imageBytes("png", 30, 20)});
+			var options = {fetcher: counting, cache: {store: probeCache.createMemoryCache(), ttl: 0}};
+
+			async.times(3, function(n, next) {
+				checkImageUrl.checkImageUrl("http://cache.site.com/shared.png", options, next);
+			}, function(err, results) {
+				assert.equal(1, counting.requests);
+				assert.equal(20, results[2].height);
+				done();
+			});
+		});
+	});
+});
+
+/*
+ * scheduler
+ */
+describe("Scheduler module", function() {
+
+	// a fetcher which answers after a few milliseconds, and records the most requests it had in flight overall
+	// and to each host, and when each request started
+	var slowFetcher = function() {
+		var inFlight = {all: 0};
+		var slow = {most: {all: 0}, starts: [], get: function(options, callback) {
+			var host = options.url.split("/")[2];
+			inFlight.all++;
+			inFlight[host] = (inFlight[host] || 0) + 1;
+			slow.most.all = Math.max(slow.most.all, inFlight.all);
+			slow.most[host] = Math.max(slow.most[host] || 0, inFlight[host]);
+			slow.starts.push(Date.now());
+			setTimeout(function() {
+				inFlight.all--;
+				inFlight[host]--;
+				callback(null, {statusCode: 200, headers: {}, body: "", url: options.url});
+			}, 5);
+		}};
+		return slow;
+	};
+
+	var getAll = function(scheduled, urls, done) {
+		async.each(urls, function(requestUrl, next) {
+			scheduled.get({url: requestUrl, type: "image"}, next);
+		}, done);
+	};
+
+	it("should limit the requests in flight to a host", function(done) {
+		var slow = slowFetcher();
+		var scheduled = scheduler.createScheduler({maxPerHost: 2}).wrap(slow);
+
+		getAll(scheduled, ["a", "b", "c", "d", "e"].map(function(name) { return "http://one.site.com/" + name + ".png"; }), function(err) {
+			assert.equal(null, err);
+			assert.equal(5, slow.starts.length);
+			assert.equal(2, slow.most["one.site.com"]);
+			done();
+		});
+	});
+	it("should limit the requests in flight overall", function(done) {
+		var slow = slowFetcher();
+		var scheduled = scheduler.createScheduler({maxConcurrent: 3, maxPerHost: 2}).wrap(slow);
+
+		getAll(scheduled, ["one", "two", "three"].reduce(function(urls, host) {
+			return urls.concat(["http://" + host + ".site.com/a.png", "http://" + host + ".site.com/b.png"]);
+		}, []), function() {
+			assert.equal(6, slow.starts.length);
+			assert.equal(3, slow.most.all);
+			done();
+		});
+	});
+	it("should wait the host delay between requests to the same host", function(done) {
+		var slow = slowFetcher();
+		var scheduled = scheduler.createScheduler({hostDelay: 30}).wrap(slow);
+
+		getAll(scheduled, ["http://one.site.com/a.png", "http://one.site.com/b.png", "http://two.site.com/a.png"], function() {
+			// the other host is not held back
+			assert.equal(true, slow.starts[1] - slow.starts[0] < 20);
+			assert.equal(true, slow.starts[2] - slow.starts[0] >= 25);
+			done();
+		});
+	});
+	it("should drop a waiting request as soon as it is aborted", function(done) {
+		var answers = [];
+		// the first request is never answered, so the second waits for its slot
+		var stuck = {get: function(options, callback) { answers.push(callback); }};
+		var scheduled = scheduler.createScheduler({maxPerHost: 1}).wrap(stuck);
+		var controller = bestImage.createAbortController();
+
+		scheduled.get({url: "http://stuck.site.com/a.png", type: "image"}, function() {});
+		scheduled.get({url: "http://stuck.site.com/b.png", type: "image", signal: controller.signal}, function(err, response) {
+			assert.equal("ABORTED", err.code);
+			assert.equal(null, response);
+			assert.equal(1, answers.length);
+			done();
+		});
+		controller.abort();
+	});
+});
+
+/*
+ * robots
+ */
+describe("Robots module", function() {
+
+	var ROBOTS_TXT = "# comment\n" +
+		"User-agent: *\n" +
+		"Disallow: /private/\n" +
+		"Allow: /private/public.png\n" +
+		"Disallow: /*.gif$\n" +
+		"\n" +
+		"User-agent: OtherBot\n" +
+		"User-agent: BestImageBot\n" +
+		"Disallow: /\n" +
+		"Allow: /page\n";
+
+	describe("isAllowed", function() {
+
+		var rules = robots.parseRobots(ROBOTS_TXT);
+
+		it("should apply the longest matching rule", function() {
+			assert.equal(false, robots.isAllowed(rules, "AnyBot", "http://site.com/private/photo.png"));
+			assert.equal(true, robots.isAllowed(rules, "AnyBot", "http://site.com/private/public.png"));
+			assert.equal(true, robots.isAllowed(rules, "AnyBot", "http://site.com/photo.png"));
+		});
+		it("should match wildcards and the end of the path", function() {
+			assert.equal(false, robots.isAllowed(rules, "AnyBot", "http://site.com/images/spacer.gif"));
+			assert.equal(true, robots.isAllowed(rules, "AnyBot", "http://site.com/images/spacer.gif?v=2"));
+		});
+		it("should use the group for the user-agent token instead of the * group", function() {
+			assert.equal(false, robots.isAllowed(rules, "bestimagebot", "http://site.com/photo.png"));
+			assert.equal(true, robots.isAllowed(rules, "BestImageBot", "http://site.com/page.html"));
+		});
+		it("should allow everything with an empty Disallow", function() {
+			assert.equal(true, robots.isAllowed(robots.parseRobots("User-agent: *\nDisallow:\n"), "AnyBot", "http://site.com/a.png"));
+		});
+	});
+
+	describe("lookups with robots.txt compliance", function() {
+
+		var PAGE = "<html><body><img src='/private/photo.png'><img src='/photo.png'></body></html>";
+		var compliant = bestImage.create({
+			robots: {userAgent: "ImageBot", store: probeCache.createMemoryCache()},
+			fetcher: fetcher.createFixtureFetcher({
+				"http://robots.site.com/robots.txt": "User-agent: *\nDisallow: /private/\n",
+				"http://robots.site.com/": PAGE,
+				"http://robots.site.com/private/": PAGE,
+				"http://robots.site.com/private/photo.png": imageBytes("png", 800, 600),
+				"http://robots.site.com/photo.png": imageBytes("png", 300, 200)
+			})
+		});
+
+		it("should skip the images robots.txt disallows, and report them with the results", function() {
+			var skipped = [{url: "http://robots.site.com/private/photo.png", type: "image", reason: "Disallowed by robots.txt"}];
+
+			return compliant.getBestImagesAsync("http://robots.site.com/", {count: 2}).then(function(results) {
+				assert.deepEqual(["http://robots.site.com/photo.png"], results.map(function(item) { return item.src; }));
+				assert.deepEqual(skipped, results.skipped);
+				return compliant.getBestImagesAsync("http://robots.site.com/", {count: 2, debug: true});
+			}).then(function(data) {
+				assert.deepEqual(skipped, data.debugInfo.skipped);
+			});
+		});
+		it("should report the skipped urls of a single image lookup only on its error and in debug mode", function() {
+			return compliant.getBestImageAsync("http://robots.site.com/", {}).then(function(src) {
+				assert.equal("http://robots.site.com/photo.png", src);
+				assert.equal(undefined, src.skipped);
+				return compliant.getBestImageAsync("http://robots.site.com/", {debug: true});
+			}).then(function(data) {
+				assert.equal("http://robots.site.com/private/photo.png", data.debugInfo.skipped[0].url);
+				return compliant.getBestImagesAsync("http://robots.site.com/", {count: 1});
+			}).then(function(results) {
+				assert.equal("http://robots.site.com/photo.png", results[0].src);
+				assert.equal("http://robots.site.com/private/photo.png", results.skipped[0].url);
+			});
+		});
+		it("should report the urls skipped by a lookup which fails", function(done) {
+			var page = "<html><body><img src='/private/photo.png'></body></html>";
 
-		before(function() {
-			sinon.stub(request, "get").yields(null, {statusCode: 200}, CSS_FILE);
+			compliant.getBestImagesFromDocument("http://robots.site.com/other.html", "", page, {}, function(err, results) {
+				assert.equal("ALL_CANDIDATES_INVALID", err.code);
+				assert.equal(null, results);
+				assert.deepEqual(["http://robots.site.com/private/photo.png"], err.skipped.map(function(item) { return item.url; }));
+				done();
+			});
 		});
-		after(function(){
-			request.get.restore();
+		it("should not retrieve a document robots.txt disallows", function() {
+			return compliant.getBestImagesAsync("http://robots.site.com/private/", {}).then(function() {
+				assert.fail("should not resolve");
+			}, function(err) {
+				assert.equal("DOCUMENT_DISALLOWED", err.code);
+				assert.equal("http://robots.site.com/private/", err.url);
+				assert.equal("document", err.skipped[0].type);
+			});
 		});
+		it("should not share robots.txt between instances", function() {
+			var page = "<html><body><img src='/photo.png'></body></html>";
+			var instance = function(robotsTxt) {
+				return bestImage.create({
+					robots: {userAgent: "ImageBot"},
+					fetcher: fetcher.createFixtureFetcher({
+						"http://shared.site.com/robots.txt": robotsTxt,
+						"http://shared.site.com/photo.png": imageBytes("png", 300, 200)
+					})
+				});
+			};
+			var closed = instance("User-agent: *\nDisallow: /\n");
+			var open = instance("User-agent: *\nAllow: /\n");
+			var lookup = function(inst) {
+				return inst.getBestImagesFromDocumentAsync("http://shared.site.com/", page, {}).then(function(results) {
+					return results[0].src;
+				}, function(err) {
+					return err.code;
+				});
+			};
 
-		it("should return all images in the doc including meta tag and css images", function(done) {
-			docImageParse.getDocImageArray("http://www.site.com", PAGE1, "query", function(err, imgArray) {
-				assert.equal(12, imgArray.length);
-				done();
+			// concurrently, then from the cache
+			return Promise.all([lookup(closed), lookup(open)]).then(function(found) {
+				assert.deepEqual(["ALL_CANDIDATES_INVALID", "http://shared.site.com/photo.png"], found);
+				return Promise.all([lookup(closed), lookup(open)]);
+			}).then(function(found) {
+				assert.deepEqual(["ALL_CANDIDATES_INVALID", "http://shared.site.com/photo.png"], found);
 			});
 		});
-	});			
+		it("should retrieve robots.txt for every lookup with a ttl of 0", function() {
+			var requests = [];
+			var fixtureFetcher = fetcher.createFixtureFetcher({
+				"http://uncached.site.com/robots.txt": "User-agent: *\nAllow: /\n",
+				"http://uncached.site.com/photo.png": imageBytes("png", 300, 200)
+			});
+			var uncached = bestImage.create({
+				robots: {userAgent: "ImageBot", ttl: 0},
+				// the image is probed (so robots.txt is checked) again by the second lookup
+				probeCache: {ttl: 0, negativeTtl: 0},
+				fetcher: {get: function(options, callback) {
+					requests.push(options.url);
+					fixtureFetcher.get(options, callback);
+				}}
+			});
+			var page = "<html><body><img src='/photo.png'></body></html>";
+
+			return uncached.getBestImagesFromDocumentAsync("http://uncached.site.com/", page, {}).then(function() {
+				return uncached.getBestImagesFromDocumentAsync("http://uncached.site.com/", page, {});
+			}).then(function() {
+				assert.equal(2, requests.filter(function(requestUrl) { return /robots\.txt$/.test(requestUrl); }).length);
+			});
+		});
+	});
 });
 
 /*
- * checkImageUrl
+ * requestOptions
  */
-describe("CheckImageUrl module", function() {
-	describe("test helper function extensionSupportedForSizing ", function() {
+describe("Request options module", function() {
 
-		it("should return true for JPG", function() {
-			assert.equal(true, checkImageUrl.extensionSupportedForSizing("http://www.site.com/index/asset.jpg").supported);
-			assert.equal("jpg", checkImageUrl.extensionSupportedForSizing("http://www.site.com/index/asset.jpg").ext);
+	describe("headersFor", function() {
+
+		var settings = {
+			userAgent: "BestImageBot/1.0",
+			headers: {"Accept-Language": "en"},
+			hosts: {
+				"site.com": {userAgent: "SiteBot", referer: true},
+				"cdn.site.com": {headers: {"x-token": "abc"}}
+			}
+		};
+
+		it("should send the user agent and extra headers", function() {
+			var headers = requestOptions.headersFor(settings, {url: "http://other.com/a.png", type: "image"}, "http://other.com/");
+			assert.deepEqual({"accept-language": "en", "user-agent": "BestImageBot/1.0"}, headers);
 		});
-		it("should return true for GIF and with no https", function() {
-			assert.equal(true, checkImageUrl.extensionSupportedForSizing("https://www.site.com/asset.gif").supported);
-			assert.equal("gif", checkImageUrl.extensionSupportedForSizing("https://www.site.com/asset.gif").ext);
+		it("should apply the overrides of the most specific host", function() {
+			var headers = requestOptions.headersFor(settings, {url: "http://www.site.com/a.png", type: "image"}, "http://www.site.com/");
+			assert.equal("SiteBot", headers["user-agent"]);
+			assert.equal("http://www.site.com/", headers.referer);
+			headers = requestOptions.headersFor(settings, {url: "http://cdn.site.com/a.png", type: "image"}, "http://www.site.com/");
+			assert.equal("abc", headers["x-token"]);
+			assert.equal("BestImageBot/1.0", headers["user-agent"]);
+			assert.equal(undefined, headers.referer);
 		});
-		it("should return true for PNG and with trailing url paramaters", function() {
-			assert.equal(true, checkImageUrl.extensionSupportedForSizing("https://www.site.com/asset.png?stuff=5&more=hello there.blah").supported);
-			assert.equal("png", checkImageUrl.extensionSupportedForSizing("https://www.site.com/asset.png?stuff=5&more=hello there.blah").ext);
+		it("should only send the Referer with image probes", function() {
+			var headers = requestOptions.headersFor(settings, {url: "http://www.site.com/", type: "document"}, "http://www.site.com/");
+			assert.equal(undefined, headers.referer);
 		});
-		it("should return false for AXF file", function() {
-			assert.equal(false, checkImageUrl.extensionSupportedForSizing("https://www.site.com/asset.axf").supported);
-			assert.equal("axf", checkImageUrl.extensionSupportedForSizing("https://www.site.com/asset.axf").ext);
+		it("should keep the headers of the request itself", function() {
+			var headers = requestOptions.headersFor(settings, {url: "http://other.com/", type: "document", headers: {"if-none-match": "\"v1\""}}, null);
+			assert.equal("\"v1\"", headers["if-none-match"]);
 		});
 	});
 
-	describe("test helper function cleanUpUrl", function() {
+	describe("requests with the default fetcher", function() {
 
-		var sourceUrl = "http://test.ask.com/sitepath";
-		var sourceHost = "http://test.ask.com";
+		var server;
+		var base;
+		var received = [];
 
-		it("should return back a fully qualified image url pathname", function() {
-			var imgUrl = "http://test.ask.com/image.jpg";
-			checkImageUrl.resolveRelativeUrl(sourceUrl, imgUrl, function(err, img) {
-				assert.equal(img, imgUrl);
+		before(function(done) {
+			server = http.createServer(function(req, res) {
+				received.push(req.headers);
+				res.writeHead(200, {"content-type": "image/png", "set-cookie": "session=abc; Path=/"});
+				res.end(imageBytes("png", 320, 240));
 			});
-		});
-		it("should add the host if preceded by a slash", function() {
-			var imgUrl = "/imgpath/image.jpg?query=hello#hashtag";
-			checkImageUrl.resolveRelativeUrl(sourceUrl, imgUrl, function(err, img) {
-				assert.equal(img, sourceHost + imgUrl);
+			server.listen(0, "127.0.0.1", function() {
+				base = "http://127.0.0.1:" + server.address().port;
+				done();
 			});
 		});
-		it("should add the host if preceded by a slash", function() {
-			var imgUrl = "/imgpath/image.jpg";
-			checkImageUrl.resolveRelativeUrl(sourceUrl, imgUrl, function(err, img) {
-				assert.equal(img, sourceHost + imgUrl);
-			});
+		after(function(done) {
+			server.close(done);
 		});
-		it("should add the host if preceded by a dot dot slash", function() {
-			var imgUrl = "../imgpath/image.jpg";
-			checkImageUrl.resolveRelativeUrl(sourceUrl, imgUrl, function(err, img) {
-				assert.equal(img, sourceHost + "/" + "imgpath/image.jpg");
+
+		it("should send the headers, Referer and cookies with image probes", function() {
+			var lookups = bestImage.create({
+				requestOptions: {userAgent: "BestImageBot/1.0", referer: true, jar: bestImage.createCookieJar()},
+				// probes are not cached, so the second lookup sends the cookie set by the first
+				probeCache: {ttl: 0, negativeTtl: 0}
 			});
-		});
-		it("should add the protocol if preceded by a double slash", function() {
-			var imgUrl = "//test.ask.com/imgpath/image.jpg?query=hello#hashtag";
-			checkImageUrl.resolveRelativeUrl(sourceUrl, imgUrl, function(err, img) {
-				assert.equal(img, "http:" + imgUrl);
+			var page = "<html><body><img src='/a.png'></body></html>";
+
+			return lookups.getBestImagesFromDocumentAsync(base + "/page.html", page, {count: 1}).then(function() {
+				return lookups.getBestImagesFromDocumentAsync(base + "/page.html", page, {count: 1});
+			}).then(function(results) {
+				assert.equal(320, results[0].dimensions.width);
+				assert.equal("BestImageBot/1.0", received[0]["user-agent"]);
+				assert.equal(base + "/page.html", received[0].referer);
+				assert.equal(undefined, received[0].cookie);
+				assert.equal("session=abc", received[1].cookie);
 			});
 		});
-		it("should add the protocol if preceded by a double slash", function() {
-			var imgUrl = "//test.ask.com/imgpath/image.jpg";
-			checkImageUrl.resolveRelativeUrl(sourceUrl, imgUrl, function(err, img) {
-				assert.equal(img, "http:" + imgUrl);
-			});
+	});
+});
+
+/*
+ * errors
+ */
+describe("Errors module", function() {
+
+	var lookups = bestImage.create({
+		fetcher: fetcher.createFixtureFetcher({
+			"http://errors.site.com/gone.html": {statusCode: 410, body: "gone"},
+			"http://errors.site.com/missing.png": {statusCode: 404, body: "not found"},
+			"http://errors.site.com/page.html": {headers: {"content-type": "text/html"}, body: "not an image"}
+		})
+	});
+
+	it("should fail a document which is not a 200 with its status code", function() {
+		return lookups.getBestImagesAsync("http://errors.site.com/gone.html", {}).then(function() {
+			assert.fail("should not resolve");
+		}, function(err) {
+			assert.equal(true, err instanceof Error);
+			assert.equal(true, err instanceof bestImage.BestImageError);
+			assert.equal(bestImage.CODES.DOCUMENT_HTTP_STATUS, err.code);
+			assert.equal(410, err.statusCode);
+			assert.equal("http://errors.site.com/gone.html", err.url);
 		});
-		it("should add the host and the path if preceded by nothing", function() {
-			var imgUrl = "imgpath/image.jpg?query=hello#hashtag";
-			checkImageUrl.resolveRelativeUrl(sourceUrl, imgUrl, function(err, img) {
-				assert.equal(img, sourceHost + "/" + imgUrl);
-			});
+	});
+	it("should fail a document which cannot be retrieved as a network error", function() {
+		return lookups.getBestImagesAsync("http://errors.site.com/nothing.html", {}).then(function() {
+			assert.fail("should not resolve");
+		}, function(err) {
+			assert.equal("DOCUMENT_NETWORK", err.code);
+			assert.equal("NO_FIXTURE", err.cause.code);
 		});
-		it("should add the host and the path if preceded by nothing", function() {
-			var imgUrl = "imgpath/image.jpg?";
-			checkImageUrl.resolveRelativeUrl(sourceUrl, imgUrl, function(err, img) {
-				assert.equal(img, sourceHost + "/" + imgUrl);
-			});
+	});
+	it("should give the reason each candidate failed", function() {
+		var page = "<html><body><img src='/missing.png'><img src='/page.html'></body></html>";
+
+		return lookups.getBestImagesFromDocumentAsync("http://errors.site.com/", page, {}).then(function() {
+			assert.fail("should not resolve");
+		}, function(err) {
+			var bySrc = {};
+
+			err.candidates.forEach(function(failure) { bySrc[failure.src] = failure; });
+			assert.equal("ALL_CANDIDATES_INVALID", err.code);
+			assert.equal(2, err.candidates.length);
+			assert.equal("PROBE_HTTP_STATUS", bySrc["http://errors.site.com/missing.png"].code);
+			assert.equal(404, bySrc["http://errors.site.com/missing.png"].statusCode);
+			assert.equal("PROBE_BAD_IMAGE_TYPE", bySrc["http://errors.site.com/page.html"].code);
 		});
-		it("should handle an empty string per url rules and return the base path", function() {
-			var imgUrl = "";
-			checkImageUrl.resolveRelativeUrl(sourceUrl, imgUrl, function(err, img) {
-				assert.equal(img, sourceUrl);
-			});
+	});
+	it("should serialize without the cause, and come back from JSON", function() {
+		var cause = new errors.BestImageError("TIMEOUT", "Timeout");
+		var err = errors.fromFetchError("PROBE", cause, "http://errors.site.com/slow.png");
+		var json = JSON.parse(JSON.stringify(err));
+		var restored = errors.fromJSON(json);
+
+		assert.deepEqual({code: "PROBE_TIMEOUT", message: "Timeout", url: "http://errors.site.com/slow.png"}, json);
+		assert.equal("PROBE_TIMEOUT", restored.code);
+		assert.equal("http://errors.site.com/slow.png", restored.url);
+		assert.equal("NETWORK", errors.fromJSON("Status Code: 500").code);
+	});
+});
+
+/*
+ * siteIcon
+ */
+describe("Site icon module", function() {
+
+	var PAGE_ICONS = "\
+<html><head>\
+	<link rel='shortcut icon' href='/favicon-32.png' sizes='16x16 32x32'>\
+	<link rel='apple-touch-icon' href='/apple-touch-icon.png'>\
+	<link rel='mask-icon' href='/mask.svg'>\
+	<link rel='manifest' href='/app/manifest.json'>\
+	<meta name='msapplication-TileImage' content='/tile.png'>\
+</head><body><img src='/testnull.gif'></body></html>";
+
+	var iconFetcher = fetcher.createFixtureFetcher({
+		"http://icons.site.com/favicon-32.png": imageBytes("png", 32, 32),
+		"http://icons.site.com/apple-touch-icon.png": imageBytes("png", 180, 180),
+		"http://icons.site.com/tile.png": imageBytes("png", 144, 144),
+		"http://icons.site.com/app/manifest.json": JSON.stringify({icons: [
+			{src: "icon-512.png", sizes: "512x512", type: "image/png"},
+			{src: "icon-192.png", sizes: "192x192", type: "image/png"}
+		]}),
+		"http://icons.site.com/app/icon-192.png": imageBytes("png", 192, 192),
+		"http://icons.site.com/favicon.ico": "not sizeable"
+	});
+
+	it("should collect the icon links, manifest icons, tile image and favicon", function(done) {
+		siteIcon.getIconCandidates("http://icons.site.com/page.html", PAGE_ICONS, {fetcher: iconFetcher}, function(err, icons) {
+			assert.deepEqual([
+				"http://icons.site.com/favicon-32.png",
+				"http://icons.site.com/apple-touch-icon.png",
+				"http://icons.site.com/tile.png",
+				"http://icons.site.com/favicon.ico",
+				"http://icons.site.com/app/icon-512.png",
+				"http://icons.site.com/app/icon-192.png"
+			], icons.map(function(icon) { return icon.src; }));
+			assert.deepEqual({width: 32, height: 32}, icons[0].declared);
+			assert.deepEqual({width: 180, height: 180}, icons[1].declared);
+			done();
 		});
-	});	
+	});
+	it("should parse the largest of the declared sizes", function() {
+		assert.deepEqual({width: 64, height: 64}, siteIcon.parseSizes("16x16 64x64 32X32"));
+		assert.equal(null, siteIcon.parseSizes("any"));
+	});
+	it("should pick the largest icon which loads", function(done) {
+		siteIcon.findSiteIcon("http://icons.site.com/page.html", PAGE_ICONS, {fetcher: iconFetcher}, function(err, icon) {
+			assert.equal("http://icons.site.com/app/icon-192.png", icon.src);
+			assert.equal(192, icon.dimensions.width);
+			done();
+		});
+	});
+	it("should fall back to the site icon only when asked to", function() {
+		var offline = bestImage.create({fetcher: iconFetcher});
+		var url = "http://icons.site.com/page.html";
+
+		return offline.getBestImagesFromDocumentAsync(url, PAGE_ICONS, {}).then(function() {
+			assert.fail("expected no image");
+		}, function(err) {
+			assert.equal("ALL_CANDIDATES_INVALID", err.code);
+			return offline.getBestImagesFromDocumentAsync(url, PAGE_ICONS, {fallbackIcon: true});
+		}).then(function(results) {
+			assert.equal(1, results.length);
+			assert.equal("http://icons.site.com/app/icon-192.png", results[0].src);
+			assert.equal("icon", results[0].source);
+			assert.equal(true, results[0].fallback);
+		});
+	});
+});
+
+/*
+ * charset
+ */
+describe("Charset module", function() {
+
+	var html = function(head) {
+		return "<html><head>" + head + "<title>Ремонт шин</title></head></html>";
+	};
+
+	it("should detect the charset from the BOM first", function() {
+		var body = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from(html(""))]);
+		assert.equal("utf-8", charset.detectCharset(body, {"content-type": "text/html; charset=windows-1251"}));
+		assert.equal(html(""), charset.decodeDocument(body, {}));
+	});
+	it("should detect the charset from the Content-Type header before the meta tag", function() {
+		var body = iconv.encode(html("<meta charset='utf-8'>"), "Shift_JIS");
+		assert.equal("shift_jis", charset.detectCharset(body, {"content-type": "text/html; charset=Shift_JIS"}));
+	});
+	it("should detect the charset from a meta tag", function() {
+		assert.equal("windows-1251", charset.detectCharset(Buffer.from(html("<meta charset=\"windows-1251\">")), {}));
+		assert.equal("iso-8859-2", charset.detectCharset(Buffer.from(html(
+			"<meta http-equiv='Content-Type' content='text/html; charset=ISO-8859-2'>")), {}));
+		assert.equal("gb2312", charset.detectCharset(Buffer.from(html("<meta charset=gb2312>")), {}));
+	});
+	it("should use utf-8 when the charset is missing or unknown", function() {
+		assert.equal("utf-8", charset.detectCharset(Buffer.from(html("")), {"content-type": "text/html; charset=nonsense"}));
+	});
+	it("should decode the document, and leave a string as is", function() {
+		var source = html("<meta charset='windows-1251'>");
+		assert.equal(source, charset.decodeDocument(iconv.encode(source, "windows-1251"), {}));
+		assert.equal("already decoded", charset.decodeDocument("already decoded", {}));
+	});
+	it("should score alt text in the charset of the document", function() {
+		var page = "<html><head><meta charset='windows-1251'></head><body>" +
+			"<img src='/repair.jpg' alt='Ремонт шин'><img src='/cat.jpg' alt='Кошка на диване'></body></html>";
+		var encoded = bestImage.create({fetcher: fetcher.createFixtureFetcher({
+			"http://charset.site.com/page.html": iconv.encode(page, "windows-1251"),
+			"http://charset.site.com/repair.jpg": imageBytes("jpg", 400, 200),
+			"http://charset.site.com/cat.jpg": imageBytes("jpg", 400, 200)
+		})});
+
+		return encoded.getBestImageAsync("http://charset.site.com/page.html", {query: "Кошка на диване"}).then(function(src) {
+			assert.equal("http://charset.site.com/cat.jpg", src);
+		});
+	});
 });
 
 /*
@@ -285,6 +1696,12 @@ describe("ImageScore module", function() {
 				assert.equal(true, item.score===1);
 			});
 		});
+		it("should keep the order of scores when none is positive", function() {
+			var arr = [{score: 0}, {score: -2}, {score: -0.5}];
+
+			imageScore.normalizeScores(arr);
+			assert.deepEqual([1, -1, 0.5], arr.map(function(item) { return item.score; }));
+		});
 
 
 	});
@@ -458,6 +1875,68 @@ describe("ImageScore module", function() {
 		it("should return a smaller considated array with nulls removed", function() {
 			assert.equal(newArray.length, 7);
 		});
+		it("should use declared dimensions when the image could not be sized", function() {
+			var declared = {src: "http://site.com/image7.jpg", dimensions: {loaded: true}, declared: {width: 200, height: 100}};
+			assert.equal(true, imageScore.sizeScore(declared) > 0);
+			assert.equal(0, imageScore.sizeScore({src: "http://site.com/image8.jpg", dimensions: {loaded: true}}));
+		});
+	});
+
+	describe("pre-ranking by declared size", function() {
+
+		var candidates = function() {
+			return [
+				{src: "http://site.com/a.jpg"},
+				{src: "http://site.com/tracker.gif", declared: {width: 1, height: 1}},
+				{src: "http://site.com/b.jpg", declared: {width: 200, height: 100}},
+				{src: "http://site.com/c.jpg", declared: {width: 0, height: null}},
+				{src: "http://site.com/d.jpg", declared: {width: 600, height: null}}
+			];
+		};
+
+		it("should reject images declared too small before they are probed", function() {
+			var srcs = imageScore.findBestImages(candidates(), null).map(function(obj) { return obj.src; });
+			assert.equal(-1, srcs.indexOf("http://site.com/tracker.gif"));
+			assert.equal(-1, srcs.indexOf("http://site.com/c.jpg"));
+			assert.equal(3, srcs.length);
+		});
+		it("should probe the images with the best declared size first, without changing their scores", function() {
+			var ranked = imageScore.findBestImages(candidates(), null);
+			assert.equal("http://site.com/b.jpg", ranked[0].src);
+			assert.equal(true, ranked[0].provisionalSizeScore > 0);
+			assert.equal(ranked[1].score, ranked[0].score);
+		});
+		it("should not let declared sizes push a curated image out of the first block probed", function() {
+			var fixtures = {"http://sized.site.com/og.png": imageBytes("png", 200, 100)};
+			var page = "<html><head><meta property='og:image' content='/og.png'></head><body>";
+			var lookups;
+
+			for (var i = 0; i < 12; i++) {
+				fixtures["http://sized.site.com/pic" + i + ".png"] = imageBytes("png", 200, 100);
+				page += "<img src='/pic" + i + ".png' width='200' height='100'>";
+			}
+			lookups = bestImage.create({fetcher: fetcher.createFixtureFetcher(fixtures)});
+
+			return lookups.getBestImageFromDocumentAsync("http://sized.site.com/", page + "</body></html>", {}).then(function(src) {
+				assert.equal("http://sized.site.com/og.png", src);
+			});
+		});
+		it("should use the configured minimum declared size", function() {
+			var config = imageScore.buildConfig({size: {minDeclaredWidth: 1, minDeclaredHeight: 1}});
+			assert.equal(4, imageScore.findBestImages(candidates(), null, config).length);
+		});
+		it("should take the declared size from the width and height attributes, or the style", function() {
+			var sized = {attribs: {width: "300", height: "50%"}};
+			var styled = {attribs: {style: "max-width: 100%; width: 320px; height:180px"}};
+			var hidden = {attribs: {width: "0", height: "0"}};
+
+			docImageParse.useDeclaredSize(sized);
+			docImageParse.useDeclaredSize(styled);
+			docImageParse.useDeclaredSize(hidden);
+			assert.deepEqual({width: 300, height: null}, sized.declared);
+			assert.deepEqual({width: 320, height: 180}, styled.declared);
+			assert.deepEqual({width: 0, height: 0}, hidden.declared);
+		});
 	});
 
 	describe("function findBestImages will return the best images from the given array", function() {
@@ -542,6 +2021,326 @@ describe("bestImage module", function() {
 		});
 	});
 
+	describe("findValidImages to return the top validated images", function() {
+
+		var fullUrl = "http://www.site.com/index.html";
+		var imgArray = [
+			{ src: "http://www.site.com/image1.jpg", score: 1, source: "img" },
+			{ src: "testnull.jpg", score: 0.9, source: "img" },
+			{ src: "http://www.site.com/image2.gif", score: 0.8, source: "css" },
+			{ src: "http://www.site.com/image3.png", score: 0.7, source: "img" }
+		];
+
+		it("should return up to count validated images, skipping invalid ones", function(done) {
+			bestImage.findValidImages({url: fullUrl, count: 2, fetcher: TEST_FETCHER}, cpobj(imgArray), function(err, results) {
+				assert.equal(null, err);
+				assert.equal(2, results.length);
+				results.forEach(function(item) {
+					assert.notEqual("testnull.jpg", item.src);
+					assert.equal(200, item.dimensions.width);
+					assert.equal("number", typeof item.score);
+					assert.equal("number", typeof item.sizeScore);
+				});
+				done();
+			});
+		});
+		it("should return all valid images when fewer than count are available", function(done) {
+			bestImage.findValidImages({url: fullUrl, count: 10, fetcher: TEST_FETCHER}, cpobj(imgArray), function(err, results) {
+				assert.equal(3, results.length);
+				done();
+			});
+		});
+		it("should return an error when no image is valid", function(done) {
+			bestImage.findValidImages({url: fullUrl, count: 2, fetcher: TEST_FETCHER}, [{src: "testnull.jpg", score: 1}], function(err, results) {
+				assert.equal("ALL_CANDIDATES_INVALID", err.code);
+				assert.equal("No valid image found", err.message);
+				assert.deepEqual(["testnull.jpg"], err.candidates.map(function(failure) { return failure.src; }));
+				assert.equal(null, results);
+				done();
+			});
+		});
+	});
+
+	describe("getBestImagesFromDocument to return ranked results", function() {
+
+		it("should return the requested number of results with their source", function(done) {
+			bestImage.getBestImagesFromDocument("http://www.site.com", "query", PAGE1, {count: 3}, function(err, results) {
+				assert.equal(null, err);
+				assert.equal(3, results.length);
+				assert.equal("meta", results[0].source);
+				results.forEach(function(item) {
+					assert.notEqual("", item.src);
+					assert.notEqual(undefined, item.source);
+				});
+				done();
+			});
+		});
+		it("should look up a document with a lazy loaded background which is not set yet", function(done) {
+			var page = "<html><div class='hero' data-bg=''></div><img src='http://image1.jpg'></html>";
+
+			bestImage.getBestImagesFromDocument("http://www.site.com", "query", page, {count: 1}, function(err, results) {
+				assert.equal(null, err);
+				assert.equal("http://image1.jpg/", results[0].src);
+				done();
+			});
+		});
+	});
+
+	describe("Promise interface", function() {
+
+		it("should resolve to the best image src", function() {
+			return bestImage.getBestImageFromDocumentAsync("http://www.site.com", PAGE1, {query: "query"}).then(function(src) {
+				assert.equal("string", typeof src);
+				assert.equal(0, src.indexOf("http://www.site.com/"));
+			});
+		});
+		it("should resolve to an array of results when using the multiple image version", function() {
+			return bestImage.getBestImagesFromDocumentAsync("http://www.site.com", PAGE1, {count: 2}).then(function(results) {
+				assert.equal(2, results.length);
+				assert.equal("meta", results[0].source);
+			});
+		});
+		it("should resolve with debug information when requested", function() {
+			return bestImage.getBestImageFromDocumentAsync("http://www.site.com/debug", PAGE1, {debug: true}).then(function(data) {
+				assert.equal("string", typeof data.bestImageUrl);
+				assert.equal("http://www.site.com/debug", data.debugInfo.hostUrl);
+				assert.equal(true, data.debugInfo.scoredImageArray.length > 0);
+			});
+		});
+		it("should reject when the document has no images", function() {
+			return bestImage.getBestImageAsync("http://www.site.com/empty", {}).then(function() {
+				assert.fail("should not resolve");
+			}, function(err) {
+				assert.equal("NO_CANDIDATES", err.code);
+				assert.equal("http://www.site.com/empty", err.url);
+			});
+		});
+	});
+
+	describe("Per request scoring config and instances", function() {
+
+		var noMeta = {isMeta: -100};
+
+		it("should build a complete config for the request without changing the instance config", function() {
+			var inst = {config: imageScore.getDefaultConfig(), logr: null};
+			var ctx = bestImage.newContext(inst, "http://www.site.com", {config: noMeta});
+			assert.equal(-100, ctx.config.isMeta);
+			assert.equal(200, ctx.config.size.idealWidth);
+			assert.equal(10, inst.config.isMeta);
+			inst.config.isMeta = 5;
+			assert.equal(-100, ctx.config.isMeta);
+		});
+		it("should use the config passed with the request", function() {
+			return bestImage.getBestImagesFromDocumentAsync("http://www.site.com", PAGE1, {count: 1, config: noMeta}).then(function(results) {
+				assert.notEqual("meta", results[0].source);
+			});
+		});
+		it("should not let a request config affect other requests", function() {
+			return bestImage.getBestImagesFromDocumentAsync("http://www.site.com", PAGE1, {count: 1}).then(function(results) {
+				assert.equal("meta", results[0].source);
+			});
+		});
+		it("should keep the config of separate instances isolated", function() {
+			var noMetaInstance = bestImage.create({config: noMeta, fetcher: TEST_FETCHER});
+			var defaultInstance = bestImage.create({fetcher: TEST_FETCHER});
+
+			return noMetaInstance.getBestImagesFromDocumentAsync("http://www.site.com", PAGE1, {count: 1}).then(function(results) {
+				assert.notEqual("meta", results[0].source);
+				return defaultInstance.getBestImagesFromDocumentAsync("http://www.site.com", PAGE1, {count: 1});
+			}).then(function(results) {
+				assert.equal("meta", results[0].source);
+			});
+		});
+		it("should log the whole lookup with the logger of the instance", function() {
+			var messages = [];
+			var logged = bestImage.create({
+				logger: {debug: function(message) { messages.push(String(message)); }},
+				fetcher: fetcher.createFixtureFetcher({
+					"http://logged.site.com/photo.png": imageBytes("png", 300, 200),
+					"http://logged.site.com/style.css": "div { background: url(/back.png); }"
+				})
+			});
+			var page = "<html><head><link rel='stylesheet' href='/style.css'></head><body><img src='/photo.png'></body></html>";
+
+			return logged.getBestImagesFromDocumentAsync("http://logged.site.com/", page, {count: 1}).then(function() {
+				assert.equal(true, messages.indexOf("IMAGE URL = /back.png") >= 0);
+				assert.equal(true, messages.indexOf("Checking Image: http://logged.site.com/photo.png") >= 0);
+				assert.equal(true, messages.indexOf("SIZE SCORE") >= 0);
+			});
+		});
+		it("should not share image probes between instances", function() {
+			var page = "<html><body><img src='/shared.png'></body></html>";
+			var forbidden = bestImage.create({fetcher: fetcher.createFixtureFetcher({
+				"http://isolated.site.com/shared.png": {statusCode: 403, body: "forbidden"}
+			})});
+			var allowed = bestImage.create({fetcher: fetcher.createFixtureFetcher({
+				"http://isolated.site.com/shared.png": imageBytes("png", 300, 200)
+			})});
+			var lookup = function(inst) {
+				return inst.getBestImagesFromDocumentAsync("http://isolated.site.com/", page, {}).then(function(results) {
+					return results[0].src;
+				}, function(err) {
+					return err.code;
+				});
+			};
+
+			return Promise.all([lookup(forbidden), lookup(allowed)]).then(function(concurrent) {
+				assert.deepEqual(["ALL_CANDIDATES_INVALID", "http://isolated.site.com/shared.png"], concurrent);
+				// and once the failure is cached
+				return Promise.all([lookup(forbidden), lookup(allowed)]);
+			}).then(function(cached) {
+				assert.deepEqual(["ALL_CANDIDATES_INVALID", "http://isolated.site.com/shared.png"], cached);
+			});
+		});
+	});
+
+	describe("Document cache", function() {
+
+		var fixtures;
+		var requests;
+		var cached;
+
+		before(function() {
+			var fixtureFetcher;
+
+			fixtures = {
+				"http://cached.site.com/": {headers: {etag: "\"v1\""}, body: "<html><body><img src='/photo.png'></body></html>"},
+				"http://cached.site.com/photo.png": imageBytes("png", 300, 200),
+				"http://cached.site.com/other.png": imageBytes("png", 400, 300)
+			};
+			fixtureFetcher = fetcher.createFixtureFetcher(fixtures);
+			requests = [];
+			cached = bestImage.create({
+				fetcher: {get: function(options, callback) {
+					requests.push(options.url);
+					fixtureFetcher.get(options, callback);
+				}},
+				// probes are not cached, so the requests show when the images are probed again
+				probeCache: {ttl: 0, negativeTtl: 0},
+				documentCache: {store: probeCache.createMemoryCache()}
+			});
+		});
+
+		it("should reuse the results when the document is not modified", function() {
+			return cached.getBestImagesAsync("http://cached.site.com/", {count: 1}).then(function(results) {
+				assert.equal("http://cached.site.com/photo.png", results[0].src);
+				assert.equal(2, requests.length);
+				return cached.getBestImagesAsync("http://cached.site.com/", {count: 1});
+			}).then(function(results) {
+				assert.equal("http://cached.site.com/photo.png", results[0].src);
+				assert.equal(300, results[0].dimensions.width);
+				// only the (conditional) request for the document
+				assert.equal(3, requests.length);
+			});
+		});
+		it("should find the images again for a different query with the cached document", function() {
+			requests.length = 0;
+			return cached.getBestImagesAsync("http://cached.site.com/", {count: 1, query: "photo"}).then(function(results) {
+				assert.equal("http://cached.site.com/photo.png", results[0].src);
+				assert.deepEqual(["http://cached.site.com/", "http://cached.site.com/photo.png"], requests);
+			});
+		});
+		it("should find the images again when the document has changed", function() {
+			fixtures["http://cached.site.com/"] = {headers: {etag: "\"v2\""}, body: "<html><body><img src='/other.png'></body></html>"};
+			return cached.getBestImagesAsync("http://cached.site.com/", {count: 1}).then(function(results) {
+				assert.equal("http://cached.site.com/other.png", results[0].src);
+			});
+		});
+	});
+
+	describe("Deadline and cancellation", function() {
+
+		var PAGE = "<html><body><img src='/fast.png'><img src='/slow.png'></body></html>";
+		var aborted;
+		var lookups;
+
+		before(function() {
+			var fixtureFetcher = fetcher.createFixtureFetcher({"http://deadline.site.com/fast.png": imageBytes("png", 300, 200)});
+
+			aborted = [];
+			// slow.png never loads, until its request is aborted
+			lookups = bestImage.create({fetcher: {get: function(options, callback) {
+				if (options.url !== "http://deadline.site.com/slow.png") {
+					fixtureFetcher.get(options, callback);
+					return;
+				}
+				options.signal.addEventListener("abort", function() {
+					aborted.push(options.url);
+					callback("Aborted", null);
+				});
+			}}});
+		});
+
+		it("should return the images validated before the deadline, and abort the requests in flight", function() {
+			return lookups.getBestImagesFromDocumentAsync("http://deadline.site.com/", PAGE, {count: 2, timeout: 50}).then(function(results) {
+				assert.equal(1, results.length);
+				assert.equal("http://deadline.site.com/fast.png", results[0].src);
+				assert.equal(300, results[0].dimensions.width);
+				assert.deepEqual(["http://deadline.site.com/slow.png"], aborted);
+			});
+		});
+		it("should fail with the deadline when no image was validated", function() {
+			var page = "<html><body><img src='/slow.png'></body></html>";
+
+			return lookups.getBestImagesFromDocumentAsync("http://deadline.site.com/", page, {timeout: 20}).then(function() {
+				assert.fail("should not resolve");
+			}, function(err) {
+				assert.equal("DEADLINE_EXCEEDED", err.code);
+			});
+		});
+		it("should stop when the signal is aborted", function() {
+			var controller = bestImage.createAbortController();
+			var lookup = lookups.getBestImagesFromDocumentAsync("http://deadline.site.com/", PAGE, {count: 2, signal: controller.signal});
+
+			setTimeout(function() { controller.abort(); }, 20);
+			return lookup.then(function(results) {
+				assert.equal("http://deadline.site.com/fast.png", results[0].src);
+			});
+		});
+		it("should stop when the signal of a controller made without AbortController is aborted", function() {
+			var controller = abort.createEmitterController();
+			var lookup = lookups.getBestImagesFromDocumentAsync("http://deadline.site.com/", PAGE, {count: 2, signal: controller.signal});
+
+			setTimeout(function() { controller.abort(); }, 20);
+			return lookup.then(function(results) {
+				assert.equal(true, controller.signal.aborted);
+				assert.equal("http://deadline.site.com/fast.png", results[0].src);
+			});
+		});
+		it("should not cache the results of a lookup cut short by the deadline", function() {
+			var fixtureFetcher = fetcher.createFixtureFetcher({
+				"http://deadline.site.com/": {headers: {etag: "\"v1\""}, body: PAGE},
+				"http://deadline.site.com/fast.png": imageBytes("png", 300, 200),
+				"http://deadline.site.com/slow.png": imageBytes("png", 400, 200)
+			});
+			// slow.png loads after 40ms, unless its request is aborted first
+			var cached = bestImage.create({
+				fetcher: {get: function(options, callback) {
+					var timer;
+
+					if (options.url !== "http://deadline.site.com/slow.png") {
+						fixtureFetcher.get(options, callback);
+						return;
+					}
+					timer = setTimeout(function() { fixtureFetcher.get(options, callback); }, 40);
+					options.signal.addEventListener("abort", function() {
+						clearTimeout(timer);
+						callback("Aborted", null);
+					});
+				}},
+				documentCache: {store: probeCache.createMemoryCache()}
+			});
+
+			return cached.getBestImagesAsync("http://deadline.site.com/", {count: 2, timeout: 20}).then(function(results) {
+				assert.equal(1, results.length);
+				return cached.getBestImagesAsync("http://deadline.site.com/", {count: 2});
+			}).then(function(results) {
+				assert.deepEqual(["http://deadline.site.com/fast.png", "http://deadline.site.com/slow.png"],
+					results.map(function(result) { return result.src; }).sort());
+			});
+		});
+	});
+
 	describe("Alternative user specified scoring", function() {
 
 		var DEPS = {};